@@ -0,0 +1,59 @@
+/**
+ * Migration script to give existing profiles a handle and existing walls a slug
+ * Handles are derived from the profile name and slugs from the wall title, with a suffix when
+ * taken. Records that already have one are left alone, so it is safe to run more than once.
+ *
+ * Usage: node migrate-handles-and-slugs.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Profile from './src/models/Profile.js';
+import Wall from './src/models/Wall.js';
+import { generateUniqueSlug, PROFILE_HANDLE, WALL_SLUG } from './src/utils/slugs.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load .env from the project root (BE directory)
+dotenv.config({ path: path.resolve(__dirname, '.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+async function migrateHandles() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Build the unique indexes before assigning, so duplicates can't slip in
+    await Profile.createIndexes();
+    await Wall.createIndexes();
+
+    const profiles = await Profile.find({ handle: { $exists: false } }).select('name').sort({ createdAt: 1 }).lean();
+    for (const profile of profiles) {
+      const handle = await generateUniqueSlug(Profile, PROFILE_HANDLE, profile.name, 'user');
+      await Profile.updateOne({ _id: profile._id }, { $set: { handle } });
+    }
+    console.log(`Assigned ${profiles.length} profile handles`);
+
+    const walls = await Wall.find({ slug: { $exists: false } }).select('title').sort({ createdAt: 1 }).lean();
+    for (const wall of walls) {
+      const slug = await generateUniqueSlug(Wall, WALL_SLUG, wall.title, 'wall');
+      await Wall.updateOne({ _id: wall._id }, { $set: { slug } });
+    }
+    console.log(`Assigned ${walls.length} wall slugs`);
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    console.log('Migration complete!');
+  } catch (error) {
+    console.error('Error migrating handles:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrateHandles();
@@ -0,0 +1,46 @@
+/**
+ * Migration script to compute the completeness score of existing profiles
+ * Scores are kept up to date as profiles, walls, projects and team members change; this fills
+ * them in for profiles created before scoring existed. Safe to run more than once.
+ *
+ * Usage: node migrate-profile-completeness.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Profile from './src/models/Profile.js';
+import { refreshProfileCompleteness } from './src/utils/completeness.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load .env from the project root (BE directory)
+dotenv.config({ path: path.resolve(__dirname, '.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+async function migrateCompleteness() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const profileIds = await Profile.distinct('_id');
+    for (const profileId of profileIds) {
+      await refreshProfileCompleteness(profileId);
+    }
+    console.log(`Scored ${profileIds.length} profiles`);
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    console.log('Migration complete!');
+  } catch (error) {
+    console.error('Error migrating profile completeness:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrateCompleteness();
@@ -0,0 +1,62 @@
+/**
+ * Migration script to split Profile.rating into the admin trust score and review stats
+ * Ratings on profiles without public reviews can only have come from an admin, so they move to
+ * trust_score. Then every profile's review totals, review_stats and rating are rebuilt from
+ * its reviews. Safe to run more than once.
+ *
+ * Usage: node migrate-profile-ratings.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { rebuildReviewStats } from './src/utils/ratings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load .env from the project root (BE directory)
+dotenv.config({ path: path.resolve(__dirname, '.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+async function migrateRatings() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    const profiles = db.collection('profiles');
+    const reviews = db.collection('reviews');
+
+    const reviewedUserIds = await reviews.distinct('target_user_id', { is_public: true });
+
+    const moved = await profiles.updateMany(
+      {
+        rating: { $ne: null },
+        trust_score: { $exists: false },
+        user_id: { $nin: reviewedUserIds }
+      },
+      [{ $set: { trust_score: '$rating' } }]
+    );
+    console.log(`Moved ${moved.modifiedCount} admin ratings to trust_score`);
+
+    const userIds = await profiles.distinct('user_id');
+    for (const userId of userIds) {
+      await rebuildReviewStats(userId);
+    }
+    console.log(`Rebuilt review stats for ${userIds.length} profiles`);
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    console.log('Migration complete!');
+  } catch (error) {
+    console.error('Error migrating ratings:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrateRatings();
@@ -0,0 +1,101 @@
+/**
+ * Migration script to move studio-owned records into organizations
+ * Creates an organization for every studio user that doesn't own one yet (the studio becomes
+ * its owner) and links the studio's movies, jobs, bids and contracts to it.
+ * Safe to run more than once.
+ *
+ * Usage: node migrate-studio-organizations.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load .env from the project root (BE directory)
+dotenv.config({ path: path.resolve(__dirname, '.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+async function migrateStudios() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    const users = db.collection('users');
+    const profiles = db.collection('profiles');
+    const organizations = db.collection('organizations');
+
+    const studios = await users.find({ roles: 'studio' }).project({ email: 1, createdAt: 1 }).toArray();
+    console.log(`Found ${studios.length} studio users`);
+
+    const totals = { organizations: 0, movies: 0, jobs: 0, bids: 0, contracts: 0 };
+
+    for (const studio of studios) {
+      let organization = await organizations.findOne({
+        members: { $elemMatch: { user_id: studio._id, role: 'owner' } }
+      });
+
+      if (!organization) {
+        const profile = await profiles.findOne({ user_id: studio._id }, { projection: { name: 1 } });
+        const now = new Date();
+        const result = await organizations.insertOne({
+          name: profile?.name || studio.email,
+          created_by: studio._id,
+          members: [{ user_id: studio._id, role: 'owner', joined_at: studio.createdAt || now }],
+          createdAt: now,
+          updatedAt: now
+        });
+        organization = { _id: result.insertedId };
+        totals.organizations += 1;
+      }
+
+      const orgId = organization._id;
+      const unlinked = (field) => ({ [field]: { $exists: false } });
+
+      const movies = await db.collection('movies').updateMany(
+        { created_by: studio._id, ...unlinked('organization_id') },
+        { $set: { organization_id: orgId } }
+      );
+      const jobs = await db.collection('jobs').updateMany(
+        { created_by: studio._id, ...unlinked('organization_id') },
+        { $set: { organization_id: orgId } }
+      );
+      const bids = await db.collection('bids').updateMany(
+        { bidder_id: studio._id, ...unlinked('organization_id') },
+        { $set: { organization_id: orgId } }
+      );
+      const clientContracts = await db.collection('contracts').updateMany(
+        { client_id: studio._id, ...unlinked('client_organization_id') },
+        { $set: { client_organization_id: orgId } }
+      );
+      const vendorContracts = await db.collection('contracts').updateMany(
+        { vendor_id: studio._id, ...unlinked('vendor_organization_id') },
+        { $set: { vendor_organization_id: orgId } }
+      );
+
+      totals.movies += movies.modifiedCount;
+      totals.jobs += jobs.modifiedCount;
+      totals.bids += bids.modifiedCount;
+      totals.contracts += clientContracts.modifiedCount + vendorContracts.modifiedCount;
+    }
+
+    console.log(`Created ${totals.organizations} organizations`);
+    console.log(`Linked ${totals.movies} movies, ${totals.jobs} jobs, ${totals.bids} bids and ${totals.contracts} contract sides`);
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    console.log('Migration complete!');
+  } catch (error) {
+    console.error('Error migrating studios:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrateStudios();
@@ -0,0 +1,301 @@
+import ApiKey from '../models/ApiKey.js';
+import AvailabilityBlock from '../models/AvailabilityBlock.js';
+import Job from '../models/Job.js';
+import Bid from '../models/Bid.js';
+import Contract from '../models/Contract.js';
+import Deliverable from '../models/Deliverable.js';
+import JobApplication from '../models/JobApplication.js';
+import Movie from '../models/Movie.js';
+import Organization from '../models/Organization.js';
+import Profile from '../models/Profile.js';
+import Project from '../models/Project.js';
+import Review from '../models/Review.js';
+import TeamMember from '../models/TeamMember.js';
+import VerificationRequest from '../models/VerificationRequest.js';
+import Wall from '../models/Wall.js';
+import { needsTwoFactorSetup } from '../middleware/auth.js';
+import { isOrganizationMember, ORGANIZATION_MANAGER_ROLES } from '../utils/organizations.js';
+
+// Access rules for the whole API, in one place.
+//
+// Every action is named `<resource>:<verb>` and lists the rules that grant it; a user gets
+// access when ANY listed rule passes. Routes enforce actions with `authorize()` from
+// middleware/authorize.js, which also loads the resource the rules look at.
+//
+// Conventions:
+// - Admins can read everything and take moderation/status actions (bid decisions, contract
+//   status, milestones). Actions that are a party's own work or sign-off (submitting a bid,
+//   uploading or approving a deliverable, writing a review) stay with that party.
+// - Ownership is always checked against the loaded document, never against query filters,
+//   so a missing document is a 404 and someone else's document is a 403.
+// - Records owned by a studio organization are shared with its members: every member can read
+//   them, owners and producers ("managers") can change them. Coordinators can additionally update
+//   milestones and review deliverables.
+// - Organization API keys act for their organization, not for the member who created them: only
+//   organization rules apply to them, and only for records of that organization.
+
+// Compares two ids that may be ObjectIds, strings or populated documents
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  return (a._id || a).toString() === (b._id || b).toString();
+};
+
+const hasRole = (user, role) => user.roles.includes(role);
+
+// Builds a rule granting access to members of the organization referenced by the resource
+// (with an organization API key, the resource must belong to the key's organization)
+const organizationRule = (getOrganizationId, roles) => {
+  const rule = ({ user, resource, apiKey }) => {
+    const organizationId = getOrganizationId(resource);
+    if (apiKey?.organization_id && !sameId(organizationId, apiKey.organization_id)) {
+      return false;
+    }
+    return isOrganizationMember(organizationId, user._id, roles);
+  };
+  rule.organizationScoped = true;
+  return rule;
+};
+
+// Named rules. Each receives { user, resource, apiKey } and returns (a promise of) a boolean.
+export const rules = {
+  authenticated: () => true,
+
+  // Admin privileges only count once the admin has enrolled in 2FA (see TWO_FACTOR_REQUIRED_ROLES)
+  admin: ({ user }) => hasRole(user, 'admin') && !needsTwoFactorSetup(user),
+  studio: ({ user }) => hasRole(user, 'studio'),
+  artist: ({ user }) => hasRole(user, 'artist'),
+
+  // Organizations
+  organizationManager: async ({ user }) => {
+    return Boolean(await Organization.exists({
+      members: { $elemMatch: { user_id: user._id, role: { $in: ORGANIZATION_MANAGER_ROLES } } }
+    }));
+  },
+  organizationMember: organizationRule(org => org._id),
+  organizationOwner: organizationRule(org => org._id, ['owner']),
+
+  // Jobs
+  jobOwner: ({ user, resource }) => sameId(resource.created_by, user._id),
+  jobAssignee: ({ user, resource }) => (resource.assigned_to || []).some(id => sameId(id, user._id)),
+  openJob: ({ resource }) => resource.assignment_mode === 'open' && resource.status === 'open',
+  awardedVendor: async ({ user, resource }) => {
+    return Boolean(await Bid.exists({ job_id: resource._id, bidder_id: user._id, status: 'accepted' }));
+  },
+  jobOrgMember: organizationRule(job => job.organization_id),
+  jobOrgManager: organizationRule(job => job.organization_id, ORGANIZATION_MANAGER_ROLES),
+
+  // Bids (loaded with job_id populated)
+  bidder: ({ user, resource }) => sameId(resource.bidder_id, user._id),
+  bidJobOwner: ({ user, resource }) => sameId(resource.job_id?.created_by, user._id),
+  bidOrgMember: organizationRule(bid => bid.organization_id),
+  bidOrgManager: organizationRule(bid => bid.organization_id, ORGANIZATION_MANAGER_ROLES),
+  bidJobOrgMember: organizationRule(bid => bid.job_id?.organization_id),
+  bidJobOrgManager: organizationRule(bid => bid.job_id?.organization_id, ORGANIZATION_MANAGER_ROLES),
+
+  // Contracts
+  contractClient: ({ user, resource }) => sameId(resource.client_id, user._id),
+  contractVendor: ({ user, resource }) => sameId(resource.vendor_id, user._id),
+  contractParty: ({ user, resource }) => {
+    return sameId(resource.client_id, user._id) || sameId(resource.vendor_id, user._id);
+  },
+  contractClientOrgMember: organizationRule(contract => contract.client_organization_id),
+  contractClientOrgManager: organizationRule(contract => contract.client_organization_id, ORGANIZATION_MANAGER_ROLES),
+  contractVendorOrgMember: organizationRule(contract => contract.vendor_organization_id),
+  contractVendorOrgManager: organizationRule(contract => contract.vendor_organization_id, ORGANIZATION_MANAGER_ROLES),
+
+  // Deliverables (loaded with contract_id populated)
+  deliverableUploader: ({ user, resource }) => sameId(resource.uploaded_by, user._id),
+  deliverableClient: ({ user, resource }) => sameId(resource.contract_id?.client_id, user._id),
+  deliverableParty: ({ user, resource }) => {
+    return sameId(resource.contract_id?.client_id, user._id) || sameId(resource.contract_id?.vendor_id, user._id);
+  },
+  deliverableClientOrgMember: organizationRule(deliverable => deliverable.contract_id?.client_organization_id),
+  deliverableVendorOrgMember: organizationRule(deliverable => deliverable.contract_id?.vendor_organization_id),
+  // Lets an organization key manage what it uploaded, as `deliverableUploader` does for a user
+  deliverableOrgKeyUploader: Object.assign(async ({ user, resource, apiKey }) => {
+    return Boolean(apiKey?.organization_id) && sameId(resource.uploaded_by, user._id) &&
+      rules.deliverableVendorOrgMember({ user, resource, apiKey });
+  }, { organizationScoped: true }),
+
+  // Job applications (loaded with job_id populated)
+  applicant: ({ user, resource }) => sameId(resource.applicant_id, user._id),
+  applicationJobOwner: ({ user, resource }) => sameId(resource.job_id?.created_by, user._id),
+  applicationJobOrgManager: organizationRule(application => application.job_id?.organization_id, ORGANIZATION_MANAGER_ROLES),
+
+  // Movies, reviews
+  movieOwner: ({ user, resource }) => sameId(resource.created_by, user._id),
+  movieOrgMember: organizationRule(movie => movie.organization_id),
+  movieOrgManager: organizationRule(movie => movie.organization_id, ORGANIZATION_MANAGER_ROLES),
+  reviewer: ({ user, resource }) => sameId(resource.reviewer_id, user._id),
+
+  // Profiles and studio verification requests
+  profileOwner: ({ user, resource }) => sameId(resource.user_id, user._id),
+  verificationRequester: ({ user, resource }) => sameId(resource.submitted_by, user._id),
+
+  // Walls belong to a profile, not directly to a user
+  wallOwner: async ({ user, resource }) => {
+    return Boolean(await Profile.exists({ _id: resource.user_id, user_id: user._id }));
+  },
+  // Projects and team members belong to a wall
+  wallItemOwner: async ({ user, resource }) => {
+    const wall = await Wall.findById(resource.wall_id).select('user_id');
+    return Boolean(wall) && rules.wallOwner({ user, resource: wall });
+  },
+
+  // Availability calendar
+  availabilityOwner: ({ user, resource }) => sameId(resource.user_id, user._id),
+
+  // API keys
+  apiKeyCreator: ({ user, resource }) => sameId(resource.user_id, user._id),
+  apiKeyOrgOwner: organizationRule(apiKey => apiKey.organization_id, ['owner'])
+};
+
+// How `authorize()` loads each resource type. `label` is used in 404/400 messages.
+export const resources = {
+  api_key: { label: 'API key', load: (id) => ApiKey.findById(id) },
+  availability: { label: 'Availability block', load: (id) => AvailabilityBlock.findById(id) },
+  job: { label: 'Job', load: (id) => Job.findById(id) },
+  bid: { label: 'Bid', load: (id) => Bid.findById(id).populate('job_id') },
+  contract: { label: 'Contract', load: (id) => Contract.findById(id) },
+  deliverable: { label: 'Deliverable', load: (id) => Deliverable.findById(id).populate('contract_id') },
+  job_application: {
+    label: 'Application',
+    load: (id) => JobApplication.findById(id).populate('job_id', 'title created_by organization_id')
+  },
+  movie: { label: 'Movie', load: (id) => Movie.findById(id) },
+  organization: { label: 'Organization', load: (id) => Organization.findById(id) },
+  profile: { label: 'Profile', load: (id) => Profile.findById(id).select('+verification_history') },
+  project: { label: 'Project', load: (id) => Project.findById(id) },
+  review: { label: 'Review', load: (id) => Review.findById(id) },
+  team_member: { label: 'Team member', load: (id) => TeamMember.findById(id) },
+  verification_request: { label: 'Verification request', load: (id) => VerificationRequest.findById(id) },
+  wall: { label: 'Wall', load: (id) => Wall.findById(id).select('+draft') }
+};
+
+// Action -> { allow: rule names, load: whether a resource is loaded (default true), message,
+//            impersonation: false to refuse admins impersonating a user (money and credentials) }
+export const policies = {
+  // Jobs
+  'job:create': {
+    allow: ['admin', 'studio', 'organizationManager'],
+    load: false,
+    message: 'Only studios and admins can create jobs'
+  },
+  'job:list_all': { allow: ['admin'], load: false },
+  'job:read': { allow: ['admin', 'jobOwner', 'jobOrgMember', 'jobAssignee', 'openJob', 'awardedVendor'] },
+  'job:update': { allow: ['jobOwner', 'jobOrgManager'] },
+  'job:publish': { allow: ['jobOwner', 'jobOrgManager'] },
+  'job:delete': { allow: ['jobOwner', 'jobOrgManager'] },
+  'job:view_bids': { allow: ['admin', 'jobOwner', 'jobOrgMember'] },
+  'job:view_applications': { allow: ['admin', 'jobOwner', 'jobOrgMember'] },
+  'job:view_deliverables': { allow: ['admin', 'jobOwner', 'jobOrgMember', 'jobAssignee', 'awardedVendor'] },
+
+  // Bids
+  'bid:create': {
+    allow: ['artist', 'studio', 'organizationManager'],
+    load: false,
+    impersonation: false,
+    message: 'Only artists and studios can submit bids'
+  },
+  'bid:read': { allow: ['admin', 'bidder', 'bidOrgMember', 'bidJobOwner', 'bidJobOrgMember'] },
+  'bid:update_status': { allow: ['admin', 'bidJobOwner', 'bidJobOrgManager'], impersonation: false },
+  'bid:update': { allow: ['bidder', 'bidOrgManager'], impersonation: false },
+  'bid:withdraw': { allow: ['bidder', 'bidOrgManager'], impersonation: false },
+
+  // Contracts
+  'contract:read': { allow: ['admin', 'contractParty', 'contractClientOrgMember', 'contractVendorOrgMember'] },
+  'contract:update': { allow: ['admin', 'contractClient', 'contractClientOrgManager'], impersonation: false },
+  'contract:update_status': {
+    allow: ['admin', 'contractParty', 'contractClientOrgManager', 'contractVendorOrgManager'],
+    impersonation: false
+  },
+  'contract:manage_milestones': {
+    allow: ['admin', 'contractClient', 'contractClientOrgManager'],
+    impersonation: false
+  },
+  'contract:update_milestone': {
+    allow: ['admin', 'contractParty', 'contractClientOrgMember', 'contractVendorOrgMember'],
+    impersonation: false
+  },
+  'contract:upload_deliverable': { allow: ['contractVendor', 'contractVendorOrgMember'] },
+  'contract:review': { allow: ['contractClient', 'contractClientOrgManager'] },
+
+  // Deliverables
+  'deliverable:read': {
+    allow: ['admin', 'deliverableParty', 'deliverableClientOrgMember', 'deliverableVendorOrgMember']
+  },
+  'deliverable:review': { allow: ['deliverableClient', 'deliverableClientOrgMember'], impersonation: false },
+  'deliverable:update': { allow: ['deliverableUploader', 'deliverableOrgKeyUploader'] },
+  'deliverable:delete': { allow: ['deliverableUploader', 'deliverableOrgKeyUploader'] },
+
+  // Job applications
+  'job_application:create': {
+    allow: ['artist'],
+    load: false,
+    message: 'Only artists can apply for jobs'
+  },
+  'job_application:update_status': { allow: ['admin', 'applicationJobOwner', 'applicationJobOrgManager'] },
+  'job_application:withdraw': { allow: ['applicant'] },
+
+  // Movies
+  'movie:create': {
+    allow: ['admin', 'studio', 'organizationManager'],
+    load: false,
+    message: 'Only studios and admins can create movies'
+  },
+  'movie:read': { allow: ['admin', 'movieOwner', 'movieOrgMember'] },
+  'movie:update': { allow: ['movieOwner', 'movieOrgManager'] },
+  'movie:delete': { allow: ['movieOwner', 'movieOrgManager'] },
+  'movie:add_job': { allow: ['movieOwner', 'movieOrgManager'] },
+
+  // Studio organizations
+  'organization:create': {
+    allow: ['admin', 'studio'],
+    load: false,
+    message: 'Only studios can create organizations'
+  },
+  'organization:read': { allow: ['admin', 'organizationMember'] },
+  'organization:update': { allow: ['organizationOwner'] },
+  'organization:manage_members': { allow: ['organizationOwner'] },
+  'organization:manage_api_keys': { allow: ['organizationOwner'], impersonation: false },
+
+  // API keys (personal keys belong to their creator, organization keys to the organization's owners)
+  'api_key:revoke': { allow: ['apiKeyCreator', 'apiKeyOrgOwner'], impersonation: false },
+
+  // Reviews
+  'review:update': { allow: ['reviewer'] },
+  'review:delete': { allow: ['reviewer'] },
+
+  // Associations
+  'association:request': { allow: ['artist', 'studio'], load: false },
+
+  // Availability calendar
+  'availability:update': { allow: ['availabilityOwner'] },
+  'availability:delete': { allow: ['availabilityOwner'] },
+
+  // Studio verification
+  'verification_request:create': { allow: ['studio'], load: false, message: 'Only studios can request verification' },
+  'verification_request:list': { allow: ['admin'], load: false, message: 'Admin access required' },
+  'verification_request:read': { allow: ['admin', 'verificationRequester'] },
+  'verification_request:decide': { allow: ['admin'], message: 'Admin access required' },
+  'verification_request:withdraw': { allow: ['verificationRequester'] },
+  'profile:verification_history': { allow: ['admin', 'profileOwner'] },
+
+  // Walls, and the projects and team members shown on them
+  'wall:update': { allow: ['wallOwner'], message: 'Not authorized' },
+  'wall:delete': { allow: ['wallOwner'], message: 'Not authorized' },
+  'wall:revisions': { allow: ['wallOwner'], message: 'Not authorized' },
+  'wall:draft': { allow: ['wallOwner'], message: 'Not authorized' },
+  'wall:analytics': { allow: ['wallOwner'], message: 'Not authorized' },
+  'project:update': { allow: ['wallItemOwner'], message: 'Not authorized' },
+  'project:delete': { allow: ['wallItemOwner'], message: 'Not authorized' },
+  'team_member:update': { allow: ['wallItemOwner'], message: 'Not authorized' },
+  'team_member:delete': { allow: ['wallItemOwner'], message: 'Not authorized' },
+
+  // Admin area
+  'profile:list': { allow: ['admin'], load: false, message: 'Admin access required' },
+  'profile:verify': { allow: ['admin'], load: false, message: 'Admin access required' },
+  'news:manage': { allow: ['admin'], load: false, message: 'Admin access required' },
+  'audit:read': { allow: ['admin'], load: false, message: 'Admin access required' },
+  'user:impersonate': { allow: ['admin'], load: false, impersonation: false, message: 'Admin access required' }
+};
@@ -7,6 +7,11 @@ import dotenv from 'dotenv';
 import http from 'http'; // Import http module
 import { Server } from 'socket.io'; // Import Socket.IO Server
 import connectDB from './config/database.js';
+import User from './models/User.js';
+import Session from './models/Session.js';
+import { authenticateSocket } from './middleware/auth.js';
+import { authLimiter } from './middleware/rateLimit.js';
+import { startWallScheduler } from './utils/wallPublishing.js';
 import authRoutes from './routes/auth.js';
 import profileRoutes from './routes/profiles.js';
 import wallRoutes from './routes/walls.js';
@@ -22,6 +27,15 @@ import reviewRoutes from './routes/reviews.js';
 import associationRoutes from './routes/associations.js';
 import jobApplicationRoutes from './routes/jobApplications.js';
 import newsRoutes from './routes/news.js';
+import notificationRoutes from './routes/notifications.js';
+import organizationRoutes from './routes/organizations.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import adminRoutes from './routes/admin.js';
+import meRoutes from './routes/me.js';
+import availabilityRoutes from './routes/availability.js';
+import verificationRequestRoutes from './routes/verificationRequests.js';
+import blockRoutes from './routes/blocks.js';
+import internalRoutes from './routes/internal.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,6 +43,13 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
 const app = express();
+
+// Behind a proxy (Vercel, Nginx) req.ip must come from X-Forwarded-For, otherwise every
+// client shares the proxy's IP for rate limiting. TRUST_PROXY = number of proxy hops.
+const proxyHops = parseInt(process.env.TRUST_PROXY, 10) || (process.env.VERCEL === '1' ? 1 : 0);
+if (proxyHops) {
+  app.set('trust proxy', proxyHops);
+}
 const server = http.createServer(app); // Create HTTP server
 export const io = new Server(server, { // Initialize Socket.IO and export it
   cors: {
@@ -46,15 +67,61 @@ export const io = new Server(server, { // Initialize Socket.IO and export it
   },
 });
 
+// How often a connected socket re-checks that its account and session still exist
+const SOCKET_SESSION_CHECK_MS = 60 * 1000;
+
+// Reject sockets that don't present a valid JWT during the handshake
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  console.log('Socket connected:', socket.id);
+  const userId = socket.data.user._id.toString();
+  console.log('Socket connected:', socket.id, 'user:', userId);
+
+  // Join a room named after the authenticated user's ID (route handlers emit to it)
+  socket.join(userId);
+
+  // Drop the connection once the token it was opened with expires
+  let expiryTimer = null;
+  if (socket.data.tokenExpiresAt) {
+    const msUntilExpiry = Math.max(socket.data.tokenExpiresAt - Date.now(), 0);
+    // setTimeout overflows past ~24.8 days; the periodic check below covers longer tokens
+    if (msUntilExpiry < 2 ** 31 - 1) {
+      expiryTimer = setTimeout(() => {
+        socket.emit('sessionExpired', { reason: 'token_expired' });
+        socket.disconnect(true);
+      }, msUntilExpiry);
+    }
+  }
 
-  socket.on('register', (userId) => {
-    socket.join(userId); // Join a room named after the user's ID
-    console.log(`User ${userId} registered for real-time updates`);
-  });
+  // Periodically make sure the account hasn't been removed, the session hasn't been
+  // revoked (logout, "log out all devices") and the token is still valid
+  const sessionCheck = setInterval(async () => {
+    try {
+      const expired = socket.data.tokenExpiresAt && Date.now() >= socket.data.tokenExpiresAt;
+      if (expired) {
+        socket.emit('sessionExpired', { reason: 'token_expired' });
+        socket.disconnect(true);
+        return;
+      }
+
+      const userExists = await User.exists({ _id: userId });
+      const sessionActive = userExists && await Session.exists({
+        _id: socket.data.sessionId,
+        revoked_at: null,
+        expires_at: { $gt: new Date() }
+      });
+      if (!sessionActive) {
+        socket.emit('sessionExpired', { reason: userExists ? 'session_revoked' : 'account_removed' });
+        socket.disconnect(true);
+      }
+    } catch (error) {
+      console.error('Socket session check error:', error);
+    }
+  }, SOCKET_SESSION_CHECK_MS);
 
   socket.on('disconnect', () => {
+    clearTimeout(expiryTimer);
+    clearInterval(sessionCheck);
     console.log('Socket disconnected:', socket.id);
   });
 });
@@ -115,8 +182,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'If-Match'],
+  exposedHeaders: ['Content-Type', 'Authorization', 'ETag'],
   preflightContinue: false,
   optionsSuccessStatus: 204,
   maxAge: 86400
@@ -136,7 +203,7 @@ app.use(express.urlencoded({
 }));
 
 // Routes
-app.use('/api/auth', authRoutes);
+app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/profiles', profileRoutes);
 app.use('/api/walls', wallRoutes);
 app.use('/api/projects', projectRoutes);
@@ -151,6 +218,15 @@ app.use('/api/reviews', reviewRoutes);
 app.use('/api/associations', associationRoutes); // Pass router directly
 app.use('/api/job-applications', jobApplicationRoutes);
 app.use('/api/news', newsRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/verification-requests', verificationRequestRoutes);
+app.use('/api/blocks', blockRoutes);
+app.use('/api/internal', internalRoutes);
 
 // Set io instance on app for route handlers to access
 app.set('io', io);
@@ -164,6 +240,9 @@ if (process.env.VERCEL !== '1') {
   server.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
   });
+  // Scheduled wall publishing needs a long-running process (serverless deployments run it from
+  // Vercel Cron through /api/internal/wall-schedule instead)
+  startWallScheduler();
 } else {
   // For Vercel, export a handler for serverless function
   // This might require a different approach for real-time, e.g., external WebSocket service
@@ -1,6 +1,93 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { isApiKey, findActiveApiKey, touchApiKey } from '../utils/apiKeys.js';
+import { recordAuditEvent } from '../utils/audit.js';
 
+// Verifies a JWT, checks that its session hasn't been revoked and loads the user it was issued for.
+// Shared by the HTTP `protect` middleware and the Socket.IO handshake.
+// Returns { user: null } when the session or the user no longer exists.
+// Impersonation tokens have no session; they resolve to the impersonated user plus `impersonator`.
+const resolveTokenUser = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Purpose-bound tokens (e.g. the 2FA challenge) are never access tokens
+  if (decoded.purpose) {
+    return { decoded, user: null, session: null };
+  }
+
+  if (decoded.impersonated_by) {
+    // The admin must still hold admin rights for the token to work
+    const impersonator = await User.findById(decoded.impersonated_by).select('-password');
+    if (!impersonator || !impersonator.roles.includes('admin') || needsTwoFactorSetup(impersonator)) {
+      return { decoded, user: null, session: null };
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    return { decoded, user, session: null, impersonator };
+  }
+
+  // Access tokens are bound to a server-side session; tokens without one predate sessions
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isActive() || session.user_id.toString() !== decoded.id) {
+    return { decoded, user: null, session: null };
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  return { decoded, user, session };
+};
+
+// Authenticates an API key request. Keys are only accepted on routes that opted in with
+// `allowApiKey(scope)`, and only when the key was granted that scope. req.user is the key's
+// creator; for organization keys, routes and policies limit it to req.apiKey.organization_id.
+const protectWithApiKey = async (req, res, next, key) => {
+  const apiKey = await findActiveApiKey(key);
+
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Not authorized, API key invalid or revoked' });
+  }
+
+  if (!req.apiKeyScope) {
+    return res.status(403).json({ error: 'API keys are not accepted for this endpoint', code: 'API_KEY_NOT_ALLOWED' });
+  }
+
+  if (!apiKey.hasScope(req.apiKeyScope)) {
+    return res.status(403).json({ error: `API key is missing the ${req.apiKeyScope} scope`, code: 'INSUFFICIENT_SCOPE' });
+  }
+
+  const user = await User.findById(apiKey.user_id).select('-password');
+
+  if (!user) {
+    return res.status(401).json({ error: 'Not authorized, user not found' });
+  }
+
+  await touchApiKey(apiKey, req.ip);
+
+  req.user = user;
+  req.session = null;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Marks a request as made while impersonating and logs it, with its outcome, once answered.
+// Every impersonated request is logged, on `protect` and `identify` routes alike (once each).
+const trackImpersonation = (req, res, impersonator) => {
+  if (req.impersonator) return;
+
+  req.impersonator = impersonator;
+  const userId = req.user._id;
+  res.on('finish', () => {
+    recordAuditEvent(req, {
+      action: 'impersonation.request',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { method: req.method, path: req.originalUrl, status: res.statusCode }
+    });
+  });
+};
+
+// Accepts a Bearer access token (JWT) or, on routes marked with `allowApiKey`, a Bearer API key
 export const protect = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
@@ -9,26 +96,131 @@ export const protect = async (req, res, next) => {
       return res.status(401).json({ error: 'Not authorized, no token' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    if (isApiKey(token)) {
+      return await protectWithApiKey(req, res, next, token);
+    }
+
+    const { user, session, impersonator } = await resolveTokenUser(token);
     
     if (!user) {
-      return res.status(401).json({ error: 'Not authorized, user not found' });
+      return res.status(401).json({ error: 'Not authorized, session expired or user not found' });
     }
 
     req.user = user;
+    req.session = session;
+
+    if (impersonator) {
+      trackImpersonation(req, res, impersonator);
+    }
+
     next();
   } catch (error) {
     res.status(401).json({ error: 'Not authorized, token failed' });
   }
 };
 
-export const adminOnly = async (req, res, next) => {
-  const user = req.user;
-  
-  if (!user || !user.roles.includes('admin')) {
-    return res.status(403).json({ error: 'Admin access required' });
+// For public routes whose response depends on the viewer (blocks, privacy settings): sets req.user
+// when a valid access token is sent, and otherwise carries on anonymously instead of answering 401
+export const identify = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (token && !isApiKey(token)) {
+    try {
+      const { user, session, impersonator } = await resolveTokenUser(token);
+      if (user) {
+        req.user = user;
+        req.session = session;
+        if (impersonator) {
+          trackImpersonation(req, res, impersonator);
+        }
+      }
+    } catch (error) {
+      // Expired or invalid tokens are treated as no token
+    }
+  }
+
+  next();
+};
+
+// Blocks requests made with an impersonation token (use after `protect`) on account-level
+// actions: credentials, 2FA, sessions, API keys, data export and deletion
+export const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      error: 'Not allowed while impersonating a user',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
   }
-  
+
   next();
 };
+
+// Lets `protect` accept API keys granted `scope` on this route (place before `protect`)
+export const allowApiKey = (scope) => {
+  if (!API_KEY_SCOPES.includes(scope)) {
+    throw new Error(`Unknown API key scope: ${scope}`);
+  }
+
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+// Roles that must have two-factor authentication enabled to use their privileges
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Whether the 2FA policy applies to a user
+export const isTwoFactorRequired = (user) => {
+  return user.roles.some(role => TWO_FACTOR_REQUIRED_ROLES.includes(role));
+};
+
+// Whether the 2FA policy applies to a user and they haven't enrolled yet
+export const needsTwoFactorSetup = (user) => {
+  return !user.two_factor_enabled && isTwoFactorRequired(user);
+};
+
+// Blocks accounts that haven't confirmed their email address yet (use after `protect`)
+export const requireVerifiedEmail = (req, res, next) => {
+  if (req.user?.email_verified === false) {
+    return res.status(403).json({
+      error: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+// Socket.IO handshake middleware: accepts the same JWT as `protect`, sent either as
+// `auth: { token }` in the client options or as a Bearer Authorization header.
+// Sets socket.data.user, socket.data.sessionId and socket.data.tokenExpiresAt (ms) for the connection handler.
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token || socket.handshake.headers.authorization?.split(' ')[1];
+
+    if (!token) {
+      return next(new Error('Not authorized, no token'));
+    }
+
+    const { decoded, user, session, impersonator } = await resolveTokenUser(token);
+
+    if (!user) {
+      return next(new Error('Not authorized, session expired or user not found'));
+    }
+
+    if (impersonator) {
+      return next(new Error('Impersonation tokens cannot open socket connections'));
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = session._id.toString();
+    socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+    next();
+  } catch (error) {
+    next(new Error('Not authorized, token failed'));
+  }
+};
@@ -0,0 +1,106 @@
+import { policies, resources, rules } from '../config/policies.js';
+import { needsTwoFactorSetup } from './auth.js';
+
+const getPolicy = (action) => {
+  const policy = policies[action];
+  if (!policy) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+  return policy;
+};
+
+/**
+ * Checks whether a user may perform an action, for checks that can't run as route middleware
+ * (e.g. on a secondary resource referenced in the request body)
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} action - Policy action, e.g. 'movie:read'
+ * @param {Object} [resource] - Loaded document the ownership rules look at
+ * @param {Object} [options]
+ * @param {Object} [options.apiKey] - API key the request was made with (req.apiKey)
+ * @returns {Promise<boolean>}
+ */
+export const can = async (user, action, resource, { apiKey } = {}) => {
+  const policy = getPolicy(action);
+
+  for (const ruleName of policy.allow) {
+    const rule = rules[ruleName];
+    // Organization keys only pass organization rules (see config/policies.js)
+    if (apiKey?.organization_id && !rule.organizationScoped) {
+      continue;
+    }
+    if (await rule({ user, resource, apiKey })) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Route middleware enforcing a policy action (use after `protect`).
+ * Unless the policy sets `load: false`, the resource named by the action prefix is loaded first
+ * (404 when missing) and exposed to the handler as `req.resource`.
+ * @param {string} action - Policy action, e.g. 'contract:update'
+ * @param {Object} [options]
+ * @param {string} [options.param] - Route param holding the resource ID (default 'id')
+ * @param {string} [options.body] - Read the resource ID from this body field instead
+ */
+export const authorize = (action, { param = 'id', body } = {}) => {
+  // Fail at startup rather than on the first request
+  const policy = getPolicy(action);
+  const resourceType = action.split(':')[0];
+  const resourceConfig = policy.load === false ? null : resources[resourceType];
+
+  if (policy.load !== false && !resourceConfig) {
+    throw new Error(`No resource loader for policy action: ${action}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      // Money-moving and credential actions stay with the real user
+      if (req.impersonator && policy.impersonation === false) {
+        return res.status(403).json({
+          error: 'Not allowed while impersonating a user',
+          code: 'IMPERSONATION_FORBIDDEN'
+        });
+      }
+
+      let resource;
+
+      if (resourceConfig) {
+        const id = body ? req.body[body] : req.params[param];
+
+        if (!id) {
+          return res.status(400).json({ error: `${resourceConfig.label} ID is required` });
+        }
+
+        resource = await resourceConfig.load(id);
+
+        if (!resource) {
+          return res.status(404).json({ error: `${resourceConfig.label} not found` });
+        }
+      }
+
+      if (!(await can(req.user, action, resource, { apiKey: req.apiKey }))) {
+        // Admins who haven't enrolled in 2FA get told why their admin access is withheld
+        if (policy.allow.includes('admin') && req.user.roles.includes('admin') && needsTwoFactorSetup(req.user)) {
+          return res.status(403).json({
+            error: 'Two-factor authentication must be enabled for admin accounts',
+            code: 'TWO_FACTOR_SETUP_REQUIRED'
+          });
+        }
+
+        return res.status(403).json({ error: policy.message || 'Access denied' });
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      console.error('Authorize error:', error);
+      if (error.name === 'CastError') {
+        return res.status(400).json({ error: `Invalid ${resourceConfig?.label.toLowerCase() || resourceType} ID` });
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+};
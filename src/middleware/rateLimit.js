@@ -0,0 +1,112 @@
+// Fixed-window rate limiting.
+// The default store keeps counters in process memory, which is fine for a single server.
+// When running several instances, plug in a shared store (e.g. Redis) with setRateLimitStore().
+
+// In-memory store: key -> { count, resetAt }
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Periodically drop expired windows so the map doesn't grow forever
+    this.cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) {
+          this.hits.delete(key);
+        }
+      }
+    }, 60 * 1000);
+    this.cleanupTimer.unref?.();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+let store = new MemoryStore();
+
+/**
+ * Replaces the rate limit store. A store must implement:
+ *   increment(key, windowMs) => Promise<{ count: number, resetAt: number (ms epoch) }>
+ *   reset(key) => Promise<void>
+ */
+export const setRateLimitStore = (newStore) => {
+  if (!newStore || typeof newStore.increment !== 'function' || typeof newStore.reset !== 'function') {
+    throw new Error('Rate limit store must implement increment(key, windowMs) and reset(key)');
+  }
+  store = newStore;
+};
+
+/**
+ * Creates a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Bucket name; limiters with different names count separately
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {'ip'|'user'} [options.keyBy] - Count per client IP (default) or per authenticated user
+ *   ('user' must run after `protect`; falls back to IP for anonymous requests)
+ * @param {string} [options.message] - Error message for blocked requests
+ */
+export const rateLimit = ({ name, windowMs, max, keyBy = 'ip', message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    try {
+      const subject = keyBy === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+      const { count, resetAt } = await store.increment(`${name}:${subject}`, windowMs);
+
+      const remaining = Math.max(max - count, 0);
+      const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ error: message, code: 'RATE_LIMITED' });
+      }
+
+      next();
+    } catch (error) {
+      // Never take the API down because the limiter store is unavailable
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+// Whole /api/auth group, per IP
+export const authLimiter = rateLimit({
+  name: 'auth',
+  windowMs: 15 * 60 * 1000,
+  max: 300
+});
+
+// Password/code guessing endpoints (signin, 2FA verify, password reset), per IP
+export const credentialLimiter = rateLimit({
+  name: 'credentials',
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many attempts, please try again later'
+});
+
+// Endpoints that send emails, per IP
+export const emailLimiter = rateLimit({
+  name: 'email',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many email requests, please try again later'
+});
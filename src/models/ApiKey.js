@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// Scopes an API key can be granted. Each route that accepts API keys names the scope it needs
+// (see `allowApiKey` in middleware/auth.js); every other route rejects API keys.
+export const API_KEY_SCOPES = [
+  'jobs:read',
+  'bids:read',
+  'contracts:read',
+  'deliverables:read',
+  'deliverables:write'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // User the key acts as (also the creator of organization keys)
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Set for organization keys: managed by the organization's owners and only valid
+  // while the creator is still a member
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+
+  // First characters of the key, shown in lists so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key
+  key_hash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  last_used_at: {
+    type: Date
+  },
+  last_used_ip: {
+    type: String
+  },
+  expires_at: {
+    type: Date
+  },
+  revoked_at: {
+    type: Date
+  },
+  revoked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.methods.isActive = function() {
+  return !this.revoked_at && (!this.expires_at || this.expires_at > new Date());
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Indexes for efficient querying
+apiKeySchema.index({ key_hash: 1 }, { unique: true }); // Lookup on every API key request
+apiKeySchema.index({ user_id: 1, organization_id: 1 }); // Personal keys of a user
+apiKeySchema.index({ organization_id: 1 }); // Keys of an organization
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+export default ApiKey;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Append-only record of security- and money-relevant actions (see utils/audit.js)
+const auditEventSchema = new mongoose.Schema({
+  // Dotted action name, e.g. 'bid.status_changed', 'profile.verified'
+  action: {
+    type: String,
+    required: true
+  },
+
+  // Who did it, and through which credential
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actor_roles: [String],
+  // Set when an admin acted while impersonating this user
+  impersonated_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  api_key_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  ip: String,
+  user_agent: String,
+
+  // What it was done to
+  target_type: {
+    type: String,
+    required: true,
+    enum: ['user', 'profile', 'job', 'bid', 'contract', 'milestone', 'deliverable']
+  },
+  target_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Changed fields: { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Related records, e.g. { contract_id } for a milestone
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for efficient querying
+auditEventSchema.index({ createdAt: -1 }); // Newest first
+auditEventSchema.index({ target_type: 1, target_id: 1, createdAt: -1 }); // History of one record
+auditEventSchema.index({ actor_id: 1, createdAt: -1 }); // Actions by user
+auditEventSchema.index({ action: 1, createdAt: -1 }); // Actions by type
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+export default AuditEvent;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Block statuses, from free to unavailable
+export const AVAILABILITY_STATUSES = ['available', 'tentative', 'booked'];
+
+// A date range an artist (or studio) marked on their calendar. Bookings from active contracts
+// are not stored here; utils/availability.js derives them from the contracts themselves.
+const availabilityBlockSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  start_date: {
+    type: Date,
+    required: true
+  },
+  end_date: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: AVAILABILITY_STATUSES,
+    required: true
+  },
+  // Only shown to the owner
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  }
+}, {
+  timestamps: true
+});
+
+availabilityBlockSchema.pre('validate', function(next) {
+  if (this.start_date && this.end_date && this.end_date < this.start_date) {
+    this.invalidate('end_date', 'End date must be on or after the start date');
+  }
+  next();
+});
+
+// Indexes for efficient querying
+availabilityBlockSchema.index({ user_id: 1, start_date: 1, end_date: 1 }); // Calendar range per user
+availabilityBlockSchema.index({ status: 1, start_date: 1, end_date: 1 }); // Booked users in a range (search)
+
+const AvailabilityBlock = mongoose.model('AvailabilityBlock', availabilityBlockSchema);
+export default AvailabilityBlock;
@@ -12,6 +12,11 @@ const bidSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Studio organization bidding (shared with its members)
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
 
   // Bidder Info
   bidder_type: {
@@ -82,6 +87,7 @@ const bidSchema = new mongoose.Schema({
 // Indexes for efficient querying
 bidSchema.index({ job_id: 1 }); // Bids by job
 bidSchema.index({ bidder_id: 1 }); // Bids by bidder
+bidSchema.index({ organization_id: 1 }); // Bids by organization
 bidSchema.index({ status: 1 }); // Filter by status
 bidSchema.index({ job_id: 1, status: 1 }); // Job's bids by status
 bidSchema.index({ bidder_id: 1, status: 1 }); // Bidder's bids by status
@@ -18,6 +18,15 @@ const contractSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Studio organizations on either side (shared with their members)
+  client_organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  vendor_organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
 
   // Contract Details
   total_amount: {
@@ -66,6 +75,8 @@ const contractSchema = new mongoose.Schema({
 contractSchema.index({ job_id: 1 }); // Contract by job (unique)
 contractSchema.index({ client_id: 1 }); // Contracts by client
 contractSchema.index({ vendor_id: 1 }); // Contracts by vendor
+contractSchema.index({ client_organization_id: 1 }); // Contracts by client organization
+contractSchema.index({ vendor_organization_id: 1 }); // Contracts by vendor organization
 contractSchema.index({ status: 1 }); // Filter by status
 contractSchema.index({ end_date: 1 }); // Contracts by deadline
 contractSchema.index({ client_id: 1, status: 1 }); // Client's contracts by status
@@ -156,6 +156,11 @@ const jobSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Studio organization that owns the job (shared with its members)
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   view_count: {
     type: Number,
     default: 0
@@ -166,6 +171,7 @@ const jobSchema = new mongoose.Schema({
 
 // Indexes for efficient querying
 jobSchema.index({ created_by: 1 }); // Jobs by creator
+jobSchema.index({ organization_id: 1, status: 1 }); // Organization's jobs by status
 jobSchema.index({ status: 1 }); // Filter by status
 jobSchema.index({ job_type: 1 }); // Filter by job type
 jobSchema.index({ assignment_mode: 1 }); // Direct vs open jobs
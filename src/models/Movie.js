@@ -32,6 +32,11 @@ const movieSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  // Studio organization that owns the movie (shared with its members)
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
   }
 }, {
   timestamps: true
@@ -39,6 +44,7 @@ const movieSchema = new mongoose.Schema({
 
 // Indexes for efficient querying
 movieSchema.index({ created_by: 1 }); // Find movies by creator
+movieSchema.index({ organization_id: 1 }); // Find movies by organization
 movieSchema.index({ status: 1 }); // Filter by status
 movieSchema.index({ createdAt: -1 }); // Sort by creation date
 movieSchema.index({ title: 'text' }); // Text search on title
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const notificationSchema = new mongoose.Schema({
+  // Relationships
+  recipient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // User whose action triggered the notification (optional)
+  },
+
+  // Content
+  type: {
+    type: String,
+    enum: [
+      'association_request',
+      'association_accepted',
+      'bid_submitted',
+      'bid_status_changed',
+      'contract_status_changed',
+      'milestone_updated',
+      'deliverable_reviewed',
+      'job_application_submitted',
+      'job_application_status_changed',
+      'review_received',
+      'verification_decided'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+
+  // Related entity, so the client can deep-link (e.g. { entity_type: 'contract', entity_id })
+  entity_type: {
+    type: String,
+    enum: ['association', 'bid', 'contract', 'milestone', 'deliverable', 'job', 'job_application', 'review', 'verification_request']
+  },
+  entity_id: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed // Extra payload (status, job title, ...)
+  },
+
+  // Read state
+  read: {
+    type: Boolean,
+    default: false
+  },
+  read_at: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+notificationSchema.index({ recipient_id: 1, createdAt: -1 }); // Inbox sorted by date
+notificationSchema.index({ recipient_id: 1, read: 1 }); // Unread counts
+
+const Notification = mongoose.model('Notification', notificationSchema);
+export default Notification;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Member roles, from most to least privileged:
+// - owner: everything, including members, invitations and organization settings
+// - producer: manages movies, jobs, bids and contracts
+// - coordinator: follows the work day to day (read access, milestones, deliverable reviews)
+export const ORGANIZATION_ROLES = ['owner', 'producer', 'coordinator'];
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+
+  // User who created the organization
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Seats
+  members: [{
+    _id: false,
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      required: true
+    },
+    invited_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joined_at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Returns the member's role, or null when the user isn't a member
+organizationSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => m.user_id.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+organizationSchema.methods.countOwners = function() {
+  return this.members.filter(m => m.role === 'owner').length;
+};
+
+// Indexes for efficient querying
+organizationSchema.index({ 'members.user_id': 1 }); // Organizations a user belongs to
+organizationSchema.index({ created_by: 1 }); // Organizations by creator
+
+const Organization = mongoose.model('Organization', organizationSchema);
+export default Organization;
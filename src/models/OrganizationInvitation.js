@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { ORGANIZATION_ROLES } from './Organization.js';
+
+const organizationInvitationSchema = new mongoose.Schema({
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    required: true
+  },
+  invited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the token sent in the invitation email
+  token_hash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  accepted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  responded_at: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+organizationInvitationSchema.methods.isPending = function() {
+  return this.status === 'pending' && this.expires_at > new Date();
+};
+
+// Indexes for efficient querying
+organizationInvitationSchema.index({ organization_id: 1, status: 1 }); // Pending invitations of an organization
+organizationInvitationSchema.index({ email: 1, status: 1 }); // Invitations for an email address
+organizationInvitationSchema.index({ token_hash: 1 }, { unique: true }); // Lookup by token
+
+const OrganizationInvitation = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
+export default OrganizationInvitation;
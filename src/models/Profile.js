@@ -1,5 +1,25 @@
 import mongoose from 'mongoose';
 
+// Disciplines a profile can list (used as a search facet)
+export const PROFILE_DISCIPLINES = [
+  'vfx', 'animation', 'fx', 'compositing', 'lighting', 'modeling', 'texturing', 'lookdev',
+  'rigging', 'matchmove', 'roto_paint', 'layout', 'previs', 'concept_art', 'motion_graphics',
+  'editing', 'color_grading', 'pipeline', 'production'
+];
+
+// Trims tag lists and drops empty and duplicate (case-insensitive) entries
+const cleanTags = (values) => {
+  const seen = new Set();
+  return (values || [])
+    .map(value => String(value).trim())
+    .filter(value => {
+      const key = value.toLowerCase();
+      if (!value || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
 const profileSchema = new mongoose.Schema({
   user_id: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,16 +35,92 @@ const profileSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Public URL name (see utils/slugs.js)
+  handle: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  previous_handles: [String], // Old handles, redirected to the current one
   verification_status: {
     type: String,
     enum: ['pending', 'approved', 'rejected'],
     default: 'pending'
   },
+  // Every admin decision on verification_status, oldest first (only loaded on request)
+  verification_history: {
+    type: [{
+      status: {
+        type: String,
+        enum: ['approved', 'rejected'],
+        required: true
+      },
+      reason: {
+        type: String,
+        required: true
+      },
+      decided_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      request_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'VerificationRequest' // Absent for decisions made without a request
+      },
+      decided_at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  // Average of public reviews rounded to half stars (maintained by utils/ratings.js)
   rating: {
     type: Number,
     min: 1,
     max: 5
   },
+  // Admin's own assessment, set when verifying; independent of reviews
+  trust_score: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  // Review breakdown, derived from review_totals
+  review_stats: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    average: Number,
+    bayesian_score: Number, // Average pulled towards the platform prior while there are few reviews
+    aspects: {
+      communication: Number,
+      quality: Number,
+      timeliness: Number,
+      professionalism: Number
+    }
+  },
+  // Running sums the stats are derived from, updated incrementally on every review change
+  review_totals: {
+    type: {
+      count: { type: Number, default: 0 },
+      rating_sum: { type: Number, default: 0 },
+      aspect_sums: {
+        communication: { type: Number, default: 0 },
+        quality: { type: Number, default: 0 },
+        timeliness: { type: Number, default: 0 },
+        professionalism: { type: Number, default: 0 }
+      },
+      aspect_counts: {
+        communication: { type: Number, default: 0 },
+        quality: { type: Number, default: 0 },
+        timeliness: { type: Number, default: 0 },
+        professionalism: { type: Number, default: 0 }
+      }
+    },
+    select: false
+  },
   location: String,
   bio: String,
   avatar_url: String,
@@ -38,6 +134,81 @@ const profileSchema = new mongoose.Schema({
   brand_colors: {
     primary: String,
     secondary: String
+  },
+
+  // Onboarding checklist score, 0-100 (maintained by utils/completeness.js)
+  completeness_score: {
+    type: Number,
+    default: 0
+  },
+
+  // Talent search fields
+  skills: {
+    type: [String],
+    set: cleanTags
+  },
+  software: {
+    type: [String],
+    set: cleanTags
+  },
+  disciplines: [{
+    type: String,
+    enum: PROFILE_DISCIPLINES
+  }],
+  languages: {
+    type: [String],
+    set: cleanTags
+  },
+  experience_years: {
+    type: Number,
+    min: 0,
+    max: 70
+  },
+  day_rate: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+      uppercase: true,
+      trim: true
+    }
+  },
+
+  // Published prices, used to estimate bids (see utils/rateCards.js). Its day rate and currency
+  // are mirrored to day_rate for search.
+  rate_card: {
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    day_rate: {
+      type: Number,
+      min: 0
+    },
+    // Per shot, by Job.shot_breakdown complexity
+    per_shot: {
+      low: { type: Number, min: 0 },
+      medium: { type: Number, min: 0 },
+      high: { type: Number, min: 0 }
+    },
+    // Per frame, for frame-based work
+    per_frame: {
+      roto: { type: Number, min: 0 },
+      paint: { type: Number, min: 0 }
+    },
+    updated_at: Date
+  },
+
+  // Which fields other users see on public profile, wall and populated responses
+  // (the owner and admins always see everything; see utils/privacy.js)
+  privacy: {
+    show_email: { type: Boolean, default: false },
+    show_location: { type: Boolean, default: true },
+    show_rating: { type: Boolean, default: true }
   }
 }, {
   timestamps: true
@@ -46,7 +217,17 @@ const profileSchema = new mongoose.Schema({
 // Add indexes for faster queries
 profileSchema.index({ user_id: 1 }); // Already unique, but explicit index helps
 profileSchema.index({ verification_status: 1 }); // Index for pending/approved queries
+profileSchema.index({ handle: 1 }, { unique: true, sparse: true }); // Lookup by handle
+profileSchema.index({ previous_handles: 1 }); // Redirects from old handles
 profileSchema.index({ email: 1 }); // Index for email lookups
+profileSchema.index(
+  { name: 'text', skills: 'text', software: 'text', location: 'text', bio: 'text' },
+  { name: 'profile_search', weights: { name: 5, skills: 4, software: 4, location: 2, bio: 1 } }
+); // Talent search text query
+profileSchema.index({ verification_status: 1, skills: 1 }); // Skill facet filter
+profileSchema.index({ verification_status: 1, software: 1 }); // Software facet filter
+profileSchema.index({ verification_status: 1, 'review_stats.bayesian_score': -1 }); // Sort by rating
+profileSchema.index({ verification_status: 1, completeness_score: 1 }); // Minimum completeness filter
 
 const Profile = mongoose.model('Profile', profileSchema);
 export default Profile;
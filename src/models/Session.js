@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the current refresh token secret (rotated on every refresh)
+  token_hash: {
+    type: String,
+    required: true
+  },
+
+  // Device info, shown in the sessions list
+  user_agent: String,
+  ip: String,
+
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date
+  },
+  revoked_reason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked_by_user', 'token_reuse', 'password_changed', 'two_factor_changed', 'account_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.methods.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+// Indexes for efficient querying
+sessionSchema.index({ user_id: 1, revoked_at: 1 }); // Active sessions by user
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB purge expired sessions
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
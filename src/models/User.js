@@ -17,17 +17,103 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['admin', 'artist', 'investor', 'studio'],
     default: []
-  }]
+  }],
+
+  // Email verification. Accounts created before verification existed have no value
+  // and are treated as verified; new signups start with false.
+  email_verified: {
+    type: Boolean
+  },
+  email_verified_at: {
+    type: Date
+  },
+  email_verification_token_hash: {
+    type: String,
+    select: false
+  },
+  email_verification_expires: {
+    type: Date,
+    select: false
+  },
+  email_verification_sent_at: {
+    type: Date
+  },
+
+  // Two-factor authentication (TOTP, RFC 6238)
+  two_factor_enabled: {
+    type: Boolean,
+    default: false
+  },
+  two_factor_enabled_at: {
+    type: Date
+  },
+  two_factor_secret: {
+    type: String,
+    select: false
+  },
+  two_factor_pending_secret: {
+    type: String,
+    select: false // Set during enrollment until the first code is confirmed
+  },
+  two_factor_recovery_codes: {
+    type: [String],
+    select: false // SHA-256 hashes of unused recovery codes
+  },
+  two_factor_last_step: {
+    type: Number,
+    select: false // Last accepted TOTP time step, so a code can't be replayed
+  },
+
+  // Brute-force protection: consecutive failed logins and progressive lockout
+  failed_login_attempts: {
+    type: Number,
+    default: 0
+  },
+  lockout_until: {
+    type: Date
+  },
+
+  // Password reset (single-use, stored hashed)
+  password_reset_token_hash: {
+    type: String,
+    select: false
+  },
+  password_reset_expires: {
+    type: Date,
+    select: false
+  },
+  password_changed_at: {
+    type: Date
+  },
+
+  // Users this user has blocked: they can't send association requests, bid on or apply to this
+  // user's jobs, or see this user's wall
+  blocked_users: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    select: false
+  },
+
+  // Set when the account was deleted; the document stays as an anonymized placeholder so
+  // contracts and reviews still point at someone
+  deleted_at: {
+    type: Date
+  }
 }, {
   timestamps: true
 });
 
 // Add indexes for faster queries
 userSchema.index({ email: 1 }); // Already unique, but explicit index helps
+userSchema.index({ password_reset_token_hash: 1 }, { sparse: true }); // Reset token lookup
+userSchema.index({ email_verification_token_hash: 1 }, { sparse: true }); // Verification token lookup
+userSchema.index({ blocked_users: 1 }); // Who has blocked a user
 
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) {
+    this.password_changed_at = new Date();
+  }
   next();
 });
 
@@ -35,5 +121,36 @@ userSchema.methods.comparePassword = async function(password) {
   return bcrypt.compare(password, this.password);
 };
 
+// Failed logins allowed before the account is locked; each further failure doubles the lock
+const FREE_LOGIN_ATTEMPTS = 5;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000; // 1 hour
+
+// Milliseconds until the account unlocks (0 if not locked)
+userSchema.methods.lockoutRemainingMs = function() {
+  return this.lockout_until ? Math.max(this.lockout_until.getTime() - Date.now(), 0) : 0;
+};
+
+// Records a failed password or 2FA attempt and locks the account progressively
+// (1 min after 5 failures, then 2, 4, 8 ... up to 1 hour)
+userSchema.methods.registerFailedLogin = async function() {
+  this.failed_login_attempts = (this.failed_login_attempts || 0) + 1;
+
+  if (this.failed_login_attempts >= FREE_LOGIN_ATTEMPTS) {
+    const exponent = this.failed_login_attempts - FREE_LOGIN_ATTEMPTS;
+    const lockMs = Math.min(60 * 1000 * 2 ** exponent, MAX_LOCKOUT_MS);
+    this.lockout_until = new Date(Date.now() + lockMs);
+  }
+
+  await this.save();
+};
+
+// Clears the failure counter after a successful login
+userSchema.methods.resetFailedLogins = async function() {
+  if (!this.failed_login_attempts && !this.lockout_until) return;
+  this.failed_login_attempts = 0;
+  this.lockout_until = undefined;
+  await this.save();
+};
+
 const User = mongoose.model('User', userSchema);
 export default User;
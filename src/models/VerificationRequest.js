@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+export const VERIFICATION_DOCUMENT_TYPES = ['company_registration', 'imdb_credits', 'website', 'tax_registration', 'other'];
+
+// A studio's request to get its profile verified, with the evidence it submitted and the
+// admin's decision. Every decision is also appended to Profile.verification_history.
+const verificationRequestSchema = new mongoose.Schema({
+  profile_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true
+  },
+  submitted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Evidence: uploaded files (Cloudinary) or links (website, IMDb page)
+  documents: [{
+    type: {
+      type: String,
+      enum: VERIFICATION_DOCUMENT_TYPES,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    uploaded: {
+      type: Boolean,
+      default: false // true when the file lives in our Cloudinary account
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  decided_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decision_reason: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  decided_at: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+verificationRequestSchema.index({ status: 1, createdAt: 1 }); // Admin review queue, oldest first
+verificationRequestSchema.index({ profile_id: 1, createdAt: -1 }); // Requests of a profile
+verificationRequestSchema.index(
+  { profile_id: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+); // At most one pending request per profile
+
+const VerificationRequest = mongoose.model('VerificationRequest', verificationRequestSchema);
+export default VerificationRequest;
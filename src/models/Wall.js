@@ -10,6 +10,13 @@ const wallSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Public URL name (see utils/slugs.js)
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  previous_slugs: [String], // Old slugs, redirected to the current one
   description: String,
   tagline: String,
   logo_url: String,
@@ -39,6 +46,16 @@ const wallSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Unpublished edits to a published wall (content fields as in utils/wallRevisions.js), promoted
+  // by publishing
+  draft: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  draft_updated_at: Date,
+  // Run by the wall scheduler (utils/wallPublishing.js)
+  publish_at: Date,
+  unpublish_at: Date,
   view_count: {
     type: Number,
     default: 0
@@ -58,6 +75,10 @@ wallSchema.index({ user_id: 1 }); // Index for finding walls by user
 wallSchema.index({ published: 1, createdAt: -1 }); // Index for published walls sorted by date
 wallSchema.index({ user_id: 1, published: 1 }); // Compound index for user's published walls
 wallSchema.index({ view_count: -1 }); // Index for sorting by views
+wallSchema.index({ slug: 1 }, { unique: true, sparse: true }); // Lookup by slug
+wallSchema.index({ previous_slugs: 1 }); // Redirects from old slugs
+wallSchema.index({ publish_at: 1 }, { sparse: true }); // Scheduled publishing
+wallSchema.index({ unpublish_at: 1 }, { sparse: true }); // Scheduled unpublishing
 
 // Add method to increment view count
 wallSchema.methods.incrementViewCount = function() {
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Snapshot of a wall's content after a save, for history and rollback (see utils/wallRevisions.js)
+const wallRevisionSchema = new mongoose.Schema({
+  wall_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wall',
+    required: true
+  },
+  // The wall version (__v) the snapshot was taken at
+  revision: {
+    type: Number,
+    required: true
+  },
+  // baseline: the state of a wall from before revisions existed, taken at its first edit;
+  // publish: a draft promoted to the live wall
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'restore', 'publish'],
+    required: true
+  },
+  restored_from: Number, // Revision a restore copied
+  author_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Content fields that differ from the previous revision
+  changed_fields: [String],
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+wallRevisionSchema.index({ wall_id: 1, revision: -1 }, { unique: true }); // History of a wall, newest first
+
+const WallRevision = mongoose.model('WallRevision', wallRevisionSchema);
+
+export default WallRevision;
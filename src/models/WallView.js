@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Days raw wall events are kept before MongoDB purges them
+export const WALL_VIEW_RETENTION_DAYS = 400;
+
+// One visitor interaction with a wall, for the owner's analytics (see utils/wallAnalytics.js).
+// Holds no raw IP or user agent: visitors are a salted hash that changes every day.
+const wallViewSchema = new mongoose.Schema({
+  wall_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wall',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['view', 'showreel_play', 'project_click'],
+    required: true
+  },
+  project_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  // UTC day (YYYY-MM-DD) the event is counted on
+  day: {
+    type: String,
+    required: true
+  },
+  visitor_hash: {
+    type: String,
+    required: true
+  },
+  referrer_host: String, // Host of the page the visitor came from; unset for direct visits
+  country: String // ISO 3166-1 alpha-2, from the CDN's geolocation header
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+wallViewSchema.index({ wall_id: 1, day: 1, type: 1 }); // Analytics for a date range
+wallViewSchema.index({ wall_id: 1, visitor_hash: 1, createdAt: -1 }); // Repeat view check
+wallViewSchema.index({ createdAt: 1 }, { expireAfterSeconds: WALL_VIEW_RETENTION_DAYS * 24 * 60 * 60 });
+
+const WallView = mongoose.model('WallView', wallViewSchema);
+
+export default WallView;
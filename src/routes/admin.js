@@ -0,0 +1,175 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import AuditEvent from '../models/AuditEvent.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { signImpersonationToken } from '../utils/sessions.js';
+import { recordAuditEvent } from '../utils/audit.js';
+
+const router = express.Router();
+
+// Upper bound for a single CSV export
+const CSV_EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  'createdAt', 'action', 'actor_id', 'actor_email', 'actor_roles', 'impersonated_user_id', 'target_type', 'target_id',
+  'changes', 'metadata', 'ip', 'user_agent', 'session_id', 'api_key_id'
+];
+
+// Quotes a CSV field when needed and neutralizes spreadsheet formulas
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (value instanceof mongoose.Types.ObjectId) text = value.toString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Builds the audit query from the request filters; returns { error } for invalid input
+const buildAuditQuery = ({ action, actor_id, target_type, target_id, ip, from, to }) => {
+  const query = {};
+
+  for (const [field, value] of Object.entries({ actor_id, target_id })) {
+    if (value) {
+      if (!mongoose.isValidObjectId(value)) {
+        return { error: `Invalid ${field}` };
+      }
+      query[field] = value;
+    }
+  }
+
+  // action accepts an exact name or a prefix ending in a dot, e.g. "contract."
+  if (action) {
+    query.action = action.endsWith('.')
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+  if (target_type) query.target_type = target_type;
+  if (ip) query.ip = ip;
+
+  if (from || to) {
+    query.createdAt = {};
+    for (const [operator, value] of [['$gte', from], ['$lte', to]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid date: ${value}` };
+      }
+      query.createdAt[operator] = date;
+    }
+  }
+
+  return { query };
+};
+
+// @route   GET /api/admin/audit
+// @desc    Search the audit log (paginated JSON, or ?format=csv for an export)
+//          Filters: action (exact or "prefix."), actor_id, target_type, target_id, ip, from, to
+// @access  Private/Admin
+router.get('/audit', protect, authorize('audit:read'), async (req, res) => {
+  try {
+    const { query, error } = buildAuditQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.query.format === 'csv') {
+      const events = await AuditEvent.find(query)
+        .populate('actor_id', 'email')
+        .sort({ createdAt: -1 })
+        .limit(CSV_EXPORT_LIMIT)
+        .lean();
+
+      const rows = events.map(event => CSV_COLUMNS.map(column => {
+        if (column === 'actor_id') return csvField(event.actor_id?._id);
+        if (column === 'actor_email') return csvField(event.actor_id?.email);
+        if (column === 'actor_roles') return csvField(event.actor_roles?.join(' '));
+        return csvField(event[column]);
+      }).join(','));
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send([CSV_COLUMNS.join(','), ...rows].join('\n'));
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .populate('actor_id', 'email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/impersonate/:userId
+// @desc    Get a 15-minute token to use the API as a user ("view as user"). Requires a reason.
+//          Every request made with it is logged; money-moving and account actions are refused.
+// @access  Private/Admin
+router.post('/impersonate/:userId', protect, authorize('user:impersonate'), async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const user = await User.findById(req.params.userId).select('-password');
+
+    if (!user || user.deleted_at) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.roles.includes('admin')) {
+      return res.status(403).json({ error: 'Admins cannot be impersonated' });
+    }
+
+    const { token, expires_at } = signImpersonationToken(user, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'impersonation.started',
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { reason, expires_at }
+    });
+
+    res.json({
+      token,
+      expires_at,
+      user: { _id: user._id, email: user.email, roles: user.roles }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import ApiKey from '../models/ApiKey.js';
+import { protect, forbidImpersonation, requireVerifiedEmail } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { createApiKey, formatApiKey, parseApiKeyInput } from '../utils/apiKeys.js';
+
+const router = express.Router();
+
+// Organization keys are listed and created under /api/organizations/:id/api-keys
+
+// @route   GET /api/api-keys
+// @desc    Get the current user's personal API keys
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({
+      user_id: req.user.id,
+      organization_id: null,
+      revoked_at: null
+    }).sort({ createdAt: -1 });
+
+    res.json(apiKeys.map(formatApiKey));
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create a personal API key (the key is only returned once)
+// @access  Private
+router.post('/', protect, forbidImpersonation, requireVerifiedEmail, async (req, res) => {
+  try {
+    const input = parseApiKeyInput(req.body);
+
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const { apiKey, key } = await createApiKey(req.user, input);
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      api_key: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key (personal keys by their creator, organization keys by its owners)
+// @access  Private
+router.delete('/:id', protect, authorize('api_key:revoke'), async (req, res) => {
+  try {
+    const apiKey = req.resource;
+
+    if (apiKey.revoked_at) {
+      return res.status(400).json({ error: 'API key is already revoked' });
+    }
+
+    apiKey.revoked_at = new Date();
+    apiKey.revoked_by = req.user._id;
+    await apiKey.save();
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
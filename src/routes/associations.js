@@ -1,13 +1,20 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.js';
+import { can } from '../middleware/authorize.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { notifyUser } from '../utils/notifications.js';
+import { isBlockedEitherWay } from '../utils/blocks.js';
+import { PRIVACY_FIELDS, redactProfile, redactUserEmails } from '../utils/privacy.js';
 import Association from '../models/Association.js';
-import User from '../models/User.js';
 import Profile from '../models/Profile.js';
 import Wall from '../models/Wall.js';
 import Project from '../models/Project.js';
 
 const router = express.Router();
 
+// Association requests per user
+const associationRequestLimiter = rateLimit({ name: 'association-requests', windowMs: 60 * 60 * 1000, max: 20, keyBy: 'user' });
+
 // Explanation: The 'profile' field is not directly on the User schema in the Association model. 
 // We will populate User fields and then manually fetch and merge Profile data.
 const populateAssociationUsers = (query) => {
@@ -16,7 +23,14 @@ const populateAssociationUsers = (query) => {
     .populate('recipient', 'email roles'); // Only populate user fields
 };
 
-router.post('/request', protect, async (req, res) => {
+// Profile summary merged into each side of an association, without the fields its owner hides
+// from the viewer (no viewer: payloads sent to both sides)
+const findAssociationProfile = async (userId, viewer, fields = 'name avatar_url location rating wall_id') => {
+  const profile = await Profile.findOne({ user_id: userId }).select(`${fields} ${PRIVACY_FIELDS}`).lean();
+  return redactProfile(profile, viewer);
+};
+
+router.post('/request', protect, requireVerifiedEmail, associationRequestLimiter, async (req, res) => {
   try {
     const { recipientProfileId } = req.body;
     const requesterUserId = req.user.id;
@@ -26,12 +40,7 @@ router.post('/request', protect, async (req, res) => {
       return res.status(404).json({ error: 'Requester profile not found.' });
     }
 
-    const requesterUser = await User.findById(requesterUserId);
-    if (!requesterUser) {
-      return res.status(404).json({ error: 'Requester user not found.' });
-    }
-
-    const isAllowedRole = requesterUser.roles.includes('artist') || requesterUser.roles.includes('studio');
+    const isAllowedRole = await can(req.user, 'association:request');
     const isVerified = requesterProfile.verification_status === 'approved';
 
     if (!isAllowedRole || !isVerified) {
@@ -48,6 +57,10 @@ router.post('/request', protect, async (req, res) => {
       return res.status(400).json({ error: 'Cannot send an association request to yourself.' });
     }
 
+    if (await isBlockedEitherWay(requesterUserId, recipientUserId)) {
+      return res.status(403).json({ error: 'You cannot send an association request to this creator.', code: 'BLOCKED' });
+    }
+
     const existingAssociation = await Association.findOne({
       $or: [
         { requester: requesterUserId, recipient: recipientUserId },
@@ -76,9 +89,11 @@ router.post('/request', protect, async (req, res) => {
     // Now, fetch the full User objects and then their associated Profiles
     const populatedAssociation = await populateAssociationUsers(Association.findById(association._id)).lean(); // Use .lean() for plain JS objects
 
+    await redactUserEmails(populatedAssociation, ['requester', 'recipient']);
+
     // Fetch requester and recipient profiles separately and merge
-    const requesterProfileData = await Profile.findOne({ user_id: populatedAssociation.requester._id }).select('name avatar_url location rating wall_id');
-    const recipientProfileData = await Profile.findOne({ user_id: populatedAssociation.recipient._id }).select('name avatar_url location rating wall_id');
+    const requesterProfileData = await findAssociationProfile(populatedAssociation.requester._id);
+    const recipientProfileData = await findAssociationProfile(populatedAssociation.recipient._id);
 
     if (requesterProfileData) {
       populatedAssociation.requester.profile = requesterProfileData;
@@ -92,6 +107,14 @@ router.post('/request', protect, async (req, res) => {
       io.to(recipientUserId.toString()).emit('newAssociationRequest', populatedAssociation);
     }
 
+    await notifyUser(req, {
+      recipient: recipientUserId,
+      type: 'association_request',
+      title: `${requesterProfile.name} wants to connect with you`,
+      entity_type: 'association',
+      entity_id: association._id
+    });
+
     res.status(201).json({ message: 'Association request sent.', association: populatedAssociation });
   } catch (error) {
     console.error('Send association request error:', error);
@@ -116,8 +139,9 @@ router.put('/accept/:id', protect, async (req, res) => {
 
     // Manually populate profiles for accepted association
     const populatedAssociation = await populateAssociationUsers(Association.findById(association._id)).lean();
-    const requesterProfileData = await Profile.findOne({ user_id: populatedAssociation.requester._id }).select('name avatar_url location rating wall_id');
-    const recipientProfileData = await Profile.findOne({ user_id: populatedAssociation.recipient._id }).select('name avatar_url location rating wall_id');
+    await redactUserEmails(populatedAssociation, ['requester', 'recipient']);
+    const requesterProfileData = await findAssociationProfile(populatedAssociation.requester._id);
+    const recipientProfileData = await findAssociationProfile(populatedAssociation.recipient._id);
 
     if (requesterProfileData) {
       populatedAssociation.requester.profile = requesterProfileData;
@@ -132,6 +156,14 @@ router.put('/accept/:id', protect, async (req, res) => {
       io.to(association.recipient.toString()).emit('associationAccepted', populatedAssociation);
     }
 
+    await notifyUser(req, {
+      recipient: association.requester,
+      type: 'association_accepted',
+      title: `${recipientProfileData?.name || 'A creator'} accepted your association request`,
+      entity_type: 'association',
+      entity_id: association._id
+    });
+
     res.json({ message: 'Association request accepted.', association: populatedAssociation });
   } catch (error) {
     console.error('Accept association request error:', error);
@@ -175,10 +207,12 @@ router.get('/pending', protect, async (req, res) => {
       })
     ).sort({ createdAt: -1 }).lean();
 
+    await redactUserEmails(pendingAssociations, ['requester', 'recipient'], req.user);
+
     // Manually populate profiles for pending associations
     for (let assoc of pendingAssociations) {
-      const requesterProfileData = await Profile.findOne({ user_id: assoc.requester._id }).select('name avatar_url location rating wall_id');
-      const recipientProfileData = await Profile.findOne({ user_id: assoc.recipient._id }).select('name avatar_url location rating wall_id');
+      const requesterProfileData = await findAssociationProfile(assoc.requester._id, req.user);
+      const recipientProfileData = await findAssociationProfile(assoc.recipient._id, req.user);
 
       if (requesterProfileData) {
         assoc.requester.profile = requesterProfileData;
@@ -203,14 +237,16 @@ router.get('/connected', protect, async (req, res) => {
       })
     ).lean();
 
+    await redactUserEmails(connectedAssociations, ['requester', 'recipient'], req.user);
+
     // Manually populate profiles and fetch latest activity for connected associations
     for (let assoc of connectedAssociations) {
       const currentUserId = req.user.id;
       const otherUserId = assoc.requester._id.toString() === currentUserId.toString() ? assoc.recipient._id : assoc.requester._id;
 
       // Fetch profiles
-      const requesterProfileData = await Profile.findOne({ user_id: assoc.requester._id }).select('name avatar_url location rating wall_id updatedAt');
-      const recipientProfileData = await Profile.findOne({ user_id: assoc.recipient._id }).select('name avatar_url location rating wall_id updatedAt');
+      const requesterProfileData = await findAssociationProfile(assoc.requester._id, req.user, 'name avatar_url location rating wall_id updatedAt');
+      const recipientProfileData = await findAssociationProfile(assoc.recipient._id, req.user, 'name avatar_url location rating wall_id updatedAt');
 
       if (requesterProfileData) {
         assoc.requester.profile = requesterProfileData;
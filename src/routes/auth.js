@@ -1,17 +1,80 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import User from '../models/User.js';
 import Profile from '../models/Profile.js';
-import { protect } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import { protect, forbidImpersonation, needsTwoFactorSetup, isTwoFactorRequired } from '../middleware/auth.js';
+import { credentialLimiter, emailLimiter } from '../middleware/rateLimit.js';
+import {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  hashToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} from '../utils/sessions.js';
+import { sendMail, frontendUrl } from '../utils/mailer.js';
+import { generateUniqueSlug, PROFILE_HANDLE } from '../utils/slugs.js';
+import { refreshProfileCompleteness } from '../utils/completeness.js';
+import { createOrganization, findPendingInvitation, acceptInvitation } from '../utils/organizations.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  checkSecondFactor
+} from '../utils/totp.js';
 
 const router = express.Router();
 
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute between resends
+
+// Roles allowed to enroll in two-factor authentication
+const TWO_FACTOR_ROLES = ['studio', 'admin'];
+
+// Answers 429 with Retry-After if the account is locked after repeated failed logins
+const sendIfLocked = (user, res) => {
+  const remainingMs = user.lockoutRemainingMs();
+  if (!remainingMs) return false;
+
+  const retryAfter = Math.ceil(remainingMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    code: 'ACCOUNT_LOCKED',
+    retry_after: retryAfter
+  });
+  return true;
+};
+
+// Issues a new email verification token and emails the link (saves the user)
+const sendVerificationEmail = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  user.email_verification_token_hash = hashToken(verificationToken);
+  user.email_verification_expires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  user.email_verification_sent_at = new Date();
+  await user.save();
+
+  const verifyUrl = frontendUrl('/verify-email', { token: verificationToken });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Pikxora email address',
+    text: `Welcome to Pikxora!\n\nPlease confirm your email address (link valid for 24 hours): ${verifyUrl}`,
+    html: `<p>Welcome to Pikxora!</p><p><a href="${verifyUrl}">Confirm your email address</a> (valid for 24 hours)</p>`
+  });
+};
+
 // @route   POST /api/auth/signup
 // @desc    Register a new user
 // @access  Public
-router.post('/signup', async (req, res) => {
+router.post('/signup', credentialLimiter, async (req, res) => {
   try {
-    const { email, password, name, role } = req.body;
+    const { email, password, name, role, invitation_token } = req.body;
 
     // Check if user exists
     const userExists = await User.findOne({ email });
@@ -23,31 +86,46 @@ router.post('/signup', async (req, res) => {
     const user = new User({
       email,
       password,
-      roles: [role]
+      roles: [role],
+      email_verified: false
     });
     await user.save();
 
-    // Create profile
+    // Create profile (studios are approved by an admin, everyone else once their email is verified)
     const profile = new Profile({
       user_id: user._id,
       email,
       name,
-      verification_status: role === 'studio' ? 'pending' : 'approved'
+      handle: await generateUniqueSlug(Profile, PROFILE_HANDLE, name, 'user'),
+      verification_status: 'pending'
     });
     await profile.save();
 
-    // Generate token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: '30d'
-    });
+    // Studios get an organization they own, unless they're signing up to join one by invitation
+    const invitation = await findPendingInvitation(invitation_token);
+    if (invitation && invitation.email === user.email.toLowerCase()) {
+      await acceptInvitation(invitation, user);
+    } else if (role === 'studio') {
+      await createOrganization(user, name);
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session (short-lived access token + refresh token)
+    const tokens = await startSession(user, req);
 
     res.status(201).json({
       user: {
         id: user._id,
         email: user.email,
-        roles: user.roles
+        roles: user.roles,
+        email_verified: user.email_verified !== false
       },
-      token
+      ...tokens
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -58,7 +136,7 @@ router.post('/signup', async (req, res) => {
 // @route   POST /api/auth/signin
 // @desc    Login user
 // @access  Public
-router.post('/signin', async (req, res) => {
+router.post('/signin', credentialLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -68,24 +146,38 @@ router.post('/signin', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (sendIfLocked(user, res)) return;
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: '30d'
-    });
+    // Second step: exchange the challenge token and a code at POST /api/auth/2fa/verify
+    if (user.two_factor_enabled) {
+      return res.json({
+        two_factor_required: true,
+        challenge_token: signTwoFactorChallenge(user)
+      });
+    }
+
+    await user.resetFailedLogins();
+
+    // Start a session (short-lived access token + refresh token)
+    const tokens = await startSession(user, req);
 
     res.json({
       user: {
         id: user._id,
         email: user.email,
-        roles: user.roles
+        roles: user.roles,
+        email_verified: user.email_verified !== false,
+        two_factor_enabled: false,
+        two_factor_setup_required: needsTwoFactorSetup(user)
       },
-      token
+      ...tokens
     });
   } catch (error) {
     console.error('Signin error:', error);
@@ -105,7 +197,10 @@ router.get('/me', protect, async (req, res) => {
       user: {
         id: user._id,
         email: user.email,
-        roles: user.roles
+        roles: user.roles,
+        email_verified: user.email_verified !== false,
+        two_factor_enabled: user.two_factor_enabled,
+        two_factor_setup_required: needsTwoFactorSetup(user)
       },
       profile
     });
@@ -115,4 +210,496 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/2fa/verify
+// @desc    Second signin step: exchange a challenge token and a TOTP/recovery code for a session
+// @access  Public (challenge token required)
+router.post('/2fa/verify', credentialLimiter, async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    const userId = challenge_token ? verifyTwoFactorChallenge(challenge_token) : null;
+    if (!userId) {
+      return res.status(401).json({ error: 'Sign-in challenge is invalid or has expired' });
+    }
+
+    const user = await User.findById(userId)
+      .select('+two_factor_secret +two_factor_recovery_codes +two_factor_last_step');
+    if (!user || !user.two_factor_enabled) {
+      return res.status(401).json({ error: 'Sign-in challenge is invalid or has expired' });
+    }
+
+    if (sendIfLocked(user, res)) return;
+
+    if (!checkSecondFactor(user, { code, recovery_code })) {
+      await user.registerFailedLogin();
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    await user.resetFailedLogins();
+    await user.save();
+
+    const tokens = await startSession(user, req);
+
+    res.json({
+      user: {
+        id: user._id,
+        email: user.email,
+        roles: user.roles,
+        email_verified: user.email_verified !== false,
+        two_factor_enabled: true,
+        two_factor_setup_required: false
+      },
+      recovery_codes_remaining: user.two_factor_recovery_codes.length,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment: returns a new secret and its otpauth:// URI (render as QR code)
+// @access  Private (studio, admin)
+router.post('/2fa/setup', protect, forbidImpersonation, async (req, res) => {
+  try {
+    if (!req.user.roles.some(role => TWO_FACTOR_ROLES.includes(role))) {
+      return res.status(403).json({ error: 'Two-factor authentication is available for studio and admin accounts' });
+    }
+
+    if (req.user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    await User.findByIdAndUpdate(req.user.id, { two_factor_pending_secret: secret });
+
+    res.json({
+      secret,
+      otpauth_url: buildOtpauthUrl(secret, req.user.email)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app; returns recovery codes once
+// @access  Private (studio, admin)
+router.post('/2fa/enable', protect, forbidImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select('+two_factor_pending_secret');
+    if (user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.two_factor_pending_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.two_factor_pending_secret, code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.two_factor_enabled = true;
+    user.two_factor_enabled_at = new Date();
+    user.two_factor_secret = user.two_factor_pending_secret;
+    user.two_factor_pending_secret = undefined;
+    user.two_factor_last_step = step;
+    user.two_factor_recovery_codes = recoveryCodes.map(recoveryCode => hashToken(recoveryCode));
+    await user.save();
+
+    // Sessions opened with only a password shouldn't outlive enrollment
+    await revokeUserSessions(user._id, 'two_factor_changed', req.session._id);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires a current TOTP code)
+// @access  Private
+router.post('/2fa/recovery-codes', protect, forbidImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+two_factor_secret +two_factor_recovery_codes +two_factor_last_step');
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!checkSecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.two_factor_recovery_codes = recoveryCodes.map(recoveryCode => hashToken(recoveryCode));
+    await user.save();
+
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a TOTP or recovery code)
+// @access  Private
+router.post('/2fa/disable', protect, forbidImpersonation, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+two_factor_secret +two_factor_recovery_codes +two_factor_last_step');
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    // Roles covered by the 2FA policy can't opt out
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your account' });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    if (!checkSecondFactor(user, { code, recovery_code })) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    user.two_factor_enabled = false;
+    user.two_factor_enabled_at = undefined;
+    user.two_factor_secret = undefined;
+    user.two_factor_recovery_codes = undefined;
+    user.two_factor_last_step = undefined;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const user = await User.findOne({
+      email_verification_token_hash: hashToken(String(token)),
+      email_verification_expires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    user.email_verified = true;
+    user.email_verified_at = new Date();
+    user.email_verification_token_hash = undefined;
+    user.email_verification_expires = undefined;
+    await user.save();
+
+    // Non-studio accounts are approved as soon as their email is verified
+    if (!user.roles.includes('studio')) {
+      const profile = await Profile.findOneAndUpdate(
+        { user_id: user._id, verification_status: 'pending' },
+        { verification_status: 'approved' }
+      );
+      if (profile) {
+        await refreshProfileCompleteness(profile._id);
+      }
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link (throttled)
+// @access  Private
+router.post('/resend-verification', protect, forbidImpersonation, emailLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.email_verified !== false) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const sentAt = user.email_verification_sent_at?.getTime() || 0;
+    const retryAfterMs = sentAt + EMAIL_VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+    if (retryAfterMs > 0) {
+      res.set('Retry-After', Math.ceil(retryAfterMs / 1000).toString());
+      return res.status(429).json({ error: 'Please wait before requesting another verification email' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public (refresh token required)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await refreshSession(refresh_token, req);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      user: {
+        id: result.user._id,
+        email: result.user.email,
+        roles: result.user.roles,
+        email_verified: result.user.email_verified !== false
+      },
+      ...result.tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current session
+// @access  Private
+router.post('/logout', protect, forbidImpersonation, async (req, res) => {
+  try {
+    await revokeSession(req.session, 'logout');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out all devices (optionally keeping the current session)
+// @access  Private
+router.post('/logout-all', protect, forbidImpersonation, async (req, res) => {
+  try {
+    const keepCurrent = req.body.keep_current === true;
+
+    const revokedCount = await revokeUserSessions(
+      req.user.id,
+      'logout_all',
+      keepCurrent ? req.session._id : undefined
+    );
+
+    res.json({
+      message: keepCurrent ? 'Logged out of all other devices' : 'Logged out of all devices',
+      revoked: revokedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions of the current user
+// @access  Private
+router.get('/sessions', protect, forbidImpersonation, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user_id: req.user.id,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    })
+      .select('user_agent ip last_used_at expires_at createdAt')
+      .sort({ last_used_at: -1 })
+      .lean();
+
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session._id.toString() === req.session._id.toString()
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions (e.g. a lost laptop)
+// @access  Private
+router.delete('/sessions/:id', protect, forbidImpersonation, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user_id: req.user.id,
+      revoked_at: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session, 'revoked_by_user');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', emailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const genericResponse = { message: 'If an account exists for this email, a reset link has been sent.' };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.password_reset_token_hash = hashToken(resetToken);
+    user.password_reset_expires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+    await user.save();
+
+    const resetUrl = frontendUrl('/reset-password', { token: resetToken });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Pikxora password',
+        text: `We received a request to reset your password.\n\nReset it here (valid for 1 hour): ${resetUrl}\n\nIf you didn't request this, you can ignore this email.`,
+        html: `<p>We received a request to reset your password.</p><p><a href="${resetUrl}">Reset your password</a> (valid for 1 hour)</p><p>If you didn't request this, you can ignore this email.</p>`
+      });
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token (logs out all sessions)
+// @access  Public
+router.post('/reset-password', credentialLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await User.findOne({
+      password_reset_token_hash: hashToken(String(token)),
+      password_reset_expires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    // Single use: clear the token together with the password change
+    user.password = password;
+    user.password_reset_token_hash = undefined;
+    user.password_reset_expires = undefined;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password_changed');
+
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/auth/change-password
+// @desc    Change password (logs out all other sessions)
+// @access  Private
+router.put('/change-password', protect, forbidImpersonation, credentialLimiter, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    if (new_password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    const isMatch = await user.comparePassword(current_password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    user.password = new_password;
+    await user.save();
+
+    const revokedCount = await revokeUserSessions(user._id, 'password_changed', req.session._id);
+
+    res.json({
+      message: 'Password changed successfully',
+      revoked_sessions: revokedCount
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
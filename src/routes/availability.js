@@ -0,0 +1,143 @@
+import express from 'express';
+import AvailabilityBlock, { AVAILABILITY_STATUSES } from '../models/AvailabilityBlock.js';
+import { protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { getAvailability, parseDateRange, publicAvailability } from '../utils/availability.js';
+import { hasBlocked } from '../utils/blocks.js';
+
+const router = express.Router();
+
+// @route   GET /api/availability/me?from=&to=
+// @desc    Get the current user's calendar (own blocks with notes, plus active contract bookings)
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const blocks = await getAvailability(req.user._id, { ...range, includeNotes: true });
+
+    res.json({ from: range.from, to: range.to, blocks });
+  } catch (error) {
+    console.error('Get my availability error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/availability/user/:userId?from=&to=
+// @desc    Get a user's calendar (defaults to the next 90 days). Other users only get the date
+//          ranges and whether the user is available, tentative or booked.
+// @access  Private (not to users the calendar's owner blocked)
+router.get('/user/:userId', protect, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const isOwner = req.params.userId === req.user.id;
+
+    // Blocked viewers get the same answer as for a missing user
+    if (!isOwner && await hasBlocked(req.params.userId, req.user._id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const blocks = await getAvailability(req.params.userId, { ...range, includeNotes: isOwner });
+
+    res.json({ from: range.from, to: range.to, blocks: isOwner ? blocks : publicAvailability(blocks) });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/availability
+// @desc    Add a block to the current user's calendar
+// @access  Private
+router.post('/', protect, async (req, res) => {
+  try {
+    const { start_date, end_date, status, note } = req.body;
+
+    if (!start_date || !end_date) {
+      return res.status(400).json({ error: 'start_date and end_date are required' });
+    }
+
+    if (!AVAILABILITY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${AVAILABILITY_STATUSES.join(', ')}` });
+    }
+
+    const block = await AvailabilityBlock.create({
+      user_id: req.user._id,
+      start_date,
+      end_date,
+      status,
+      note
+    });
+
+    res.status(201).json({
+      message: 'Availability added',
+      block
+    });
+  } catch (error) {
+    console.error('Add availability error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/availability/:id
+// @desc    Update a calendar block
+// @access  Private (owner)
+router.put('/:id', protect, authorize('availability:update'), async (req, res) => {
+  try {
+    const block = req.resource;
+    const { start_date, end_date, status, note } = req.body;
+
+    if (status !== undefined && !AVAILABILITY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${AVAILABILITY_STATUSES.join(', ')}` });
+    }
+
+    if (start_date !== undefined) block.start_date = start_date;
+    if (end_date !== undefined) block.end_date = end_date;
+    if (status !== undefined) block.status = status;
+    if (note !== undefined) block.note = note;
+
+    await block.save();
+
+    res.json({
+      message: 'Availability updated',
+      block
+    });
+  } catch (error) {
+    console.error('Update availability error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/availability/:id
+// @desc    Remove a calendar block
+// @access  Private (owner)
+router.delete('/:id', protect, authorize('availability:delete'), async (req, res) => {
+  try {
+    await req.resource.deleteOne();
+
+    res.json({ message: 'Availability removed' });
+  } catch (error) {
+    console.error('Delete availability error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -3,14 +3,27 @@ import Bid from '../models/Bid.js';
 import Job from '../models/Job.js';
 import Contract from '../models/Contract.js';
 import Milestone from '../models/Milestone.js';
-import { protect } from '../middleware/auth.js';
+import Profile from '../models/Profile.js';
+import { protect, requireVerifiedEmail, allowApiKey } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { getUserOrganizationIds, resolveActingOrganization } from '../utils/organizations.js';
+import { notifyUser } from '../utils/notifications.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { findScheduleConflicts } from '../utils/availability.js';
+import { estimateBid } from '../utils/rateCards.js';
+import { hasBlocked } from '../utils/blocks.js';
+import { displayName, redactUserEmails } from '../utils/privacy.js';
 
 const router = express.Router();
 
+// Bid submissions per user
+const bidLimiter = rateLimit({ name: 'bids', windowMs: 60 * 60 * 1000, max: 30, keyBy: 'user' });
+
 // @route   POST /api/bids
 // @desc    Submit a bid on a job
 // @access  Private (artist, studio)
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('bid:create'), requireVerifiedEmail, bidLimiter, async (req, res) => {
   try {
     console.log('🔍 POST /api/bids - Request body:', JSON.stringify(req.body, null, 2));
 
@@ -22,12 +35,14 @@ router.post('/', protect, async (req, res) => {
       estimated_duration_days,
       start_available_from,
       notes,
-      included_services
+      included_services,
+      organization_id
     } = req.body;
 
-    // Check if user can bid (artist or studio)
-    if (!req.user.roles.includes('artist') && !req.user.roles.includes('studio')) {
-      return res.status(403).json({ error: 'Only artists and studios can submit bids' });
+    // Studio organization bidding (members share access to the bid and the resulting contract)
+    const acting = await resolveActingOrganization(req.user.id, organization_id);
+    if (acting.error) {
+      return res.status(acting.status).json({ error: acting.error });
     }
 
     // Find and validate job
@@ -45,18 +60,33 @@ router.post('/', protect, async (req, res) => {
       return res.status(400).json({ error: 'Bidding deadline has passed' });
     }
 
-    // Check if user already submitted a bid
-    const existingBid = await Bid.findOne({ job_id, bidder_id: req.user.id });
+    if (acting.organizationId && job.organization_id?.toString() === acting.organizationId.toString()) {
+      return res.status(400).json({ error: 'You cannot bid on your own organization\'s job' });
+    }
+
+    if (await hasBlocked(job.created_by, req.user._id)) {
+      return res.status(403).json({ error: 'You cannot bid on this client\'s jobs', code: 'BLOCKED' });
+    }
+
+    // Check if user (or their organization) already submitted a bid
+    const existingBid = await Bid.findOne({
+      job_id,
+      $or: [
+        { bidder_id: req.user.id },
+        ...(acting.organizationId ? [{ organization_id: acting.organizationId }] : [])
+      ]
+    });
     if (existingBid) {
       return res.status(400).json({ error: 'You have already submitted a bid for this job' });
     }
 
     // Determine bidder type
-    const bidder_type = req.user.roles.includes('studio') ? 'studio' : 'artist';
+    const bidder_type = req.user.roles.includes('studio') || acting.organizationId ? 'studio' : 'artist';
 
     const bid = new Bid({
       job_id,
       bidder_id: req.user.id,
+      organization_id: acting.organizationId,
       bidder_type,
       amount_total,
       currency: currency || 'INR',
@@ -71,7 +101,17 @@ router.post('/', protect, async (req, res) => {
     await bid.save();
 
     await bid.populate('bidder_id', 'email');
-
+    await redactUserEmails(bid, ['bidder_id'], req.user);
+
+    await notifyUser(req, {
+      recipient: job.created_by,
+      type: 'bid_submitted',
+      title: `New bid on "${job.title}"`,
+      message: `${await displayName(req.user._id)} submitted a bid of ${bid.amount_total} ${bid.currency}`,
+      entity_type: 'bid',
+      entity_id: bid._id,
+      data: { job_id: job._id, amount_total: bid.amount_total, currency: bid.currency }
+    });
 
     res.status(201).json({
       message: 'Bid submitted successfully',
@@ -88,25 +128,16 @@ router.post('/', protect, async (req, res) => {
 
 // @route   GET /api/bids/job/:jobId
 // @desc    Get all bids for a job
-// @access  Private (job owner or admin only)
-router.get('/job/:jobId', protect, async (req, res) => {
+// @access  Private (job owner or admin only; API key: bids:read)
+router.get('/job/:jobId', allowApiKey('bids:read'), protect, authorize('job:view_bids', { param: 'jobId' }), async (req, res) => {
   try {
-    const job = await Job.findById(req.params.jobId);
-
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-
-    // Only job owner or admin can see bids
-    if (!req.user.roles.includes('admin') && job.created_by.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const bids = await Bid.find({ job_id: req.params.jobId })
       .populate('bidder_id', 'email')
       .sort({ submitted_at: -1 })
       .lean();
 
+    await redactUserEmails(bids, ['bidder_id'], req.user);
+
     res.json(bids);
   } catch (error) {
     console.error('Get job bids error:', error);
@@ -115,11 +146,15 @@ router.get('/job/:jobId', protect, async (req, res) => {
 });
 
 // @route   GET /api/bids/my
-// @desc    Get current user's bids
-// @access  Private
-router.get('/my', protect, async (req, res) => {
+// @desc    Get current user's bids (including their organizations' bids)
+// @access  Private (API key: bids:read)
+router.get('/my', allowApiKey('bids:read'), protect, async (req, res) => {
   try {
-    const bids = await Bid.find({ bidder_id: req.user.id })
+    // Organization API keys only see their organization's bids
+    const query = req.apiKey?.organization_id
+      ? { organization_id: req.apiKey.organization_id }
+      : { $or: [{ bidder_id: req.user.id }, { organization_id: { $in: await getUserOrganizationIds(req.user.id) } }] };
+    const bids = await Bid.find(query)
       .populate({
         path: 'job_id',
         select: 'title status created_by final_delivery_date',
@@ -128,6 +163,8 @@ router.get('/my', protect, async (req, res) => {
       .sort({ submitted_at: -1 })
       .lean();
 
+    await redactUserEmails(bids.map(bid => bid.job_id), ['created_by'], req.user);
+
     res.json(bids);
   } catch (error) {
     console.error('Get my bids error:', error);
@@ -135,29 +172,50 @@ router.get('/my', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/bids/estimate/:jobId
+// @desc    Estimate a bid on a job from a rate card and the job's shot breakdown.
+//          Uses the current user's rate card, or ?profile_id= to price with another profile's
+//          published card. The result can be submitted as a bid's amount_total and breakdown.
+// @access  Private (anyone who can see the job)
+router.get('/estimate/:jobId', protect, authorize('job:read', { param: 'jobId' }), async (req, res) => {
+  try {
+    const profileQuery = req.query.profile_id ? { _id: req.query.profile_id } : { user_id: req.user.id };
+    const profile = await Profile.findOne(profileQuery).select('rate_card').lean();
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    if (!profile.rate_card?.currency) {
+      return res.status(400).json({ error: 'No rate card has been published', code: 'NO_RATE_CARD' });
+    }
+
+    const job = req.resource;
+    res.json({
+      job_id: job._id,
+      profile_id: profile._id,
+      ...estimateBid(profile.rate_card, job)
+    });
+  } catch (error) {
+    console.error('Estimate bid error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid profile ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/bids/:id
 // @desc    Get bid by ID
-// @access  Private (bidder or job owner or admin)
-router.get('/:id', protect, async (req, res) => {
+// @access  Private (bidder or job owner or admin; API key: bids:read)
+router.get('/:id', allowApiKey('bids:read'), protect, authorize('bid:read'), async (req, res) => {
   try {
     const bid = await Bid.findById(req.params.id)
       .populate('bidder_id', 'email')
       .populate('job_id', 'title status created_by')
       .lean();
 
-    if (!bid) {
-      return res.status(404).json({ error: 'Bid not found' });
-    }
-
-    // Check access permissions
-    const hasAccess =
-      req.user.roles.includes('admin') ||
-      bid.bidder_id._id.toString() === req.user.id ||
-      bid.job_id.created_by.toString() === req.user.id;
-
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    await redactUserEmails(bid, ['bidder_id'], req.user);
 
     res.json(bid);
   } catch (error) {
@@ -172,29 +230,24 @@ router.get('/:id', protect, async (req, res) => {
 // @route   PUT /api/bids/:id/status
 // @desc    Update bid status (shortlist/accept/reject)
 // @access  Private (job owner or admin only)
-router.put('/:id/status', protect, async (req, res) => {
+router.put('/:id/status', protect, authorize('bid:update_status'), async (req, res) => {
   try {
-    const { status, notes } = req.body;
+    const { status, notes, confirm_schedule_conflicts } = req.body;
 
     if (!['pending', 'shortlisted', 'accepted', 'rejected'].includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    const bid = await Bid.findById(req.params.id).populate('job_id');
-    if (!bid) {
-      return res.status(404).json({ error: 'Bid not found' });
-    }
-
-    // Check permissions
-    if (!req.user.roles.includes('admin') && bid.job_id.created_by.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const bid = req.resource;
 
     // Prevent status changes after acceptance
     if (bid.status === 'accepted' && status !== 'accepted') {
       return res.status(400).json({ error: 'Cannot change status of accepted bid' });
     }
 
+    let contract = null;
+    let scheduleConflicts = [];
+
     // Handle bid acceptance - create contract
     if (status === 'accepted') {
       // Check if another bid is already accepted
@@ -203,11 +256,28 @@ router.put('/:id/status', protect, async (req, res) => {
         return res.status(400).json({ error: 'Another bid has already been accepted for this job' });
       }
 
+      // Warn the client when the vendor is already booked or on hold over the contract dates;
+      // they can go ahead by resending with confirm_schedule_conflicts
+      const startDate = bid.start_available_from || new Date();
+      const endDate = bid.job_id.final_delivery_date;
+      if (endDate) {
+        scheduleConflicts = await findScheduleConflicts(bid.bidder_id, startDate, endDate);
+        if (scheduleConflicts.length > 0 && !confirm_schedule_conflicts) {
+          return res.status(409).json({
+            error: 'The vendor already has bookings over these dates',
+            code: 'SCHEDULE_CONFLICT',
+            conflicts: scheduleConflicts
+          });
+        }
+      }
+
       // Create contract
-      const contract = new Contract({
+      contract = new Contract({
         job_id: bid.job_id._id,
         client_id: bid.job_id.created_by,
         vendor_id: bid.bidder_id,
+        client_organization_id: bid.job_id.organization_id,
+        vendor_organization_id: bid.organization_id,
         total_amount: bid.amount_total,
         currency: bid.currency,
         start_date: bid.start_available_from || new Date(),
@@ -234,20 +304,65 @@ router.put('/:id/status', protect, async (req, res) => {
       await Job.findByIdAndUpdate(bid.job_id._id, { status: 'awarded' });
 
       // Reject all other bids
+      const otherBids = await Bid.find({ job_id: bid.job_id._id, _id: { $ne: bid._id }, status: { $ne: 'rejected' } })
+        .select('bidder_id')
+        .lean();
+
       await Bid.updateMany(
         { job_id: bid.job_id._id, _id: { $ne: bid._id } },
         { status: 'rejected' }
       );
+
+      for (const otherBid of otherBids) {
+        await notifyUser(req, {
+          recipient: otherBid.bidder_id,
+          type: 'bid_status_changed',
+          title: `Your bid on "${bid.job_id.title}" was not selected`,
+          message: 'Another bid has been accepted for this job',
+          entity_type: 'bid',
+          entity_id: otherBid._id,
+          data: { job_id: bid.job_id._id, status: 'rejected' }
+        });
+      }
     }
 
+    const previousStatus = bid.status;
+
     // Update bid status
     bid.status = status;
     if (notes) bid.notes = notes;
     await bid.save();
 
+    await recordAuditEvent(req, {
+      action: 'bid.status_changed',
+      targetType: 'bid',
+      targetId: bid._id,
+      before: { status: previousStatus },
+      after: { status },
+      metadata: {
+        job_id: bid.job_id._id,
+        bidder_id: bid.bidder_id,
+        amount_total: bid.amount_total,
+        currency: bid.currency,
+        contract_id: contract?._id
+      }
+    });
+
+    if (previousStatus !== status) {
+      await notifyUser(req, {
+        recipient: bid.bidder_id,
+        type: 'bid_status_changed',
+        title: `Your bid on "${bid.job_id.title}" was ${status}`,
+        entity_type: 'bid',
+        entity_id: bid._id,
+        data: { job_id: bid.job_id._id, status, previous_status: previousStatus }
+      });
+    }
+
     res.json({
       message: `Bid ${status} successfully`,
-      bid
+      bid,
+      ...(scheduleConflicts.length > 0 && { schedule_conflicts: scheduleConflicts })
     });
   } catch (error) {
     console.error('Update bid status error:', error);
@@ -258,14 +373,9 @@ router.put('/:id/status', protect, async (req, res) => {
 // @route   PUT /api/bids/:id
 // @desc    Update bid (only by bidder before submission deadline)
 // @access  Private (bidder only)
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorize('bid:update'), async (req, res) => {
   try {
-    const bid = await Bid.findOne({ _id: req.params.id, bidder_id: req.user.id })
-      .populate('job_id');
-
-    if (!bid) {
-      return res.status(404).json({ error: 'Bid not found' });
-    }
+    const bid = req.resource;
 
     // Can only edit pending bids before deadline
     if (bid.status !== 'pending') {
@@ -310,14 +420,9 @@ router.put('/:id', protect, async (req, res) => {
 // @route   DELETE /api/bids/:id
 // @desc    Withdraw bid
 // @access  Private (bidder only)
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorize('bid:withdraw'), async (req, res) => {
   try {
-    const bid = await Bid.findOne({ _id: req.params.id, bidder_id: req.user.id })
-      .populate('job_id');
-
-    if (!bid) {
-      return res.status(404).json({ error: 'Bid not found' });
-    }
+    const bid = req.resource;
 
     // Can only withdraw pending bids before deadline
     if (bid.status !== 'pending') {
@@ -0,0 +1,101 @@
+import express from 'express';
+import User from '../models/User.js';
+import Profile from '../models/Profile.js';
+import Association from '../models/Association.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// @route   GET /api/blocks
+// @desc    Get the users the current user has blocked, with their profile name and handle
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('blocked_users').lean();
+    const blockedIds = user?.blocked_users || [];
+
+    const profiles = await Profile.find({ user_id: { $in: blockedIds } })
+      .select('user_id name handle avatar_url')
+      .lean();
+    const profilesByUser = new Map(profiles.map(profile => [profile.user_id.toString(), profile]));
+
+    res.json(blockedIds.map(id => {
+      const profile = profilesByUser.get(id.toString());
+      return {
+        user_id: id,
+        name: profile?.name,
+        handle: profile?.handle,
+        avatar_url: profile?.avatar_url
+      };
+    }));
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/blocks
+// @desc    Block a user. Body: { user_id }. Also removes any association between the two users.
+// @access  Private
+router.post('/', protect, async (req, res) => {
+  try {
+    const { user_id } = req.body;
+
+    if (!user_id) {
+      return res.status(400).json({ error: 'user_id is required' });
+    }
+
+    if (user_id.toString() === req.user.id) {
+      return res.status(400).json({ error: 'You cannot block yourself' });
+    }
+
+    const target = await User.findById(user_id).select('_id').lean();
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { blocked_users: target._id } });
+
+    await Association.deleteMany({
+      $or: [
+        { requester: req.user._id, recipient: target._id },
+        { requester: target._id, recipient: req.user._id }
+      ]
+    });
+
+    res.status(201).json({ message: 'User blocked', user_id: target._id });
+  } catch (error) {
+    console.error('Block user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/blocks/:userId
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:userId', protect, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id, blocked_users: req.params.userId },
+      { $pull: { blocked_users: req.params.userId } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'This user is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -2,19 +2,30 @@ import express from 'express';
 import Contract from '../models/Contract.js';
 import Milestone from '../models/Milestone.js';
 import Job from '../models/Job.js';
-import { protect } from '../middleware/auth.js';
+import { protect, allowApiKey } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { notifyUser } from '../utils/notifications.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { getUserOrganizationIds } from '../utils/organizations.js';
+import { redactUserEmails } from '../utils/privacy.js';
 
 const router = express.Router();
 
 // @route   GET /api/contracts
-// @desc    Get contracts for current user
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @desc    Get contracts for current user and their organizations
+// @access  Private (API key: contracts:read)
+router.get('/', allowApiKey('contracts:read'), protect, async (req, res) => {
   try {
+    // Organization API keys only see their organization's contracts
+    const organizationIds = req.apiKey?.organization_id
+      ? [req.apiKey.organization_id]
+      : await getUserOrganizationIds(req.user.id);
+    const partyConditions = req.apiKey?.organization_id ? [] : [{ client_id: req.user.id }, { vendor_id: req.user.id }];
     const contracts = await Contract.find({
       $or: [
-        { client_id: req.user.id },
-        { vendor_id: req.user.id }
+        ...partyConditions,
+        { client_organization_id: { $in: organizationIds } },
+        { vendor_organization_id: { $in: organizationIds } }
       ]
     })
       .populate('job_id', 'title status final_delivery_date')
@@ -23,6 +34,8 @@ router.get('/', protect, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
+    await redactUserEmails(contracts, ['client_id', 'vendor_id'], req.user);
+
     res.json(contracts);
   } catch (error) {
     console.error('Get contracts error:', error);
@@ -32,8 +45,8 @@ router.get('/', protect, async (req, res) => {
 
 // @route   GET /api/contracts/:id
 // @desc    Get contract by ID
-// @access  Private (client or vendor only)
-router.get('/:id', protect, async (req, res) => {
+// @access  Private (client, vendor or admin; API key: contracts:read)
+router.get('/:id', allowApiKey('contracts:read'), protect, authorize('contract:read'), async (req, res) => {
   try {
     const contract = await Contract.findById(req.params.id)
       .populate('job_id')
@@ -41,18 +54,7 @@ router.get('/:id', protect, async (req, res) => {
       .populate('vendor_id', 'email')
       .lean();
 
-    if (!contract) {
-      return res.status(404).json({ error: 'Contract not found' });
-    }
-
-    // Check access permissions
-    const hasAccess =
-      contract.client_id._id.toString() === req.user.id ||
-      contract.vendor_id._id.toString() === req.user.id;
-
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    await redactUserEmails(contract, ['client_id', 'vendor_id'], req.user);
 
     // Get milestones
     const milestones = await Milestone.find({ contract_id: req.params.id })
@@ -74,19 +76,10 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   PUT /api/contracts/:id
 // @desc    Update contract
-// @access  Private (client only for basic updates)
-router.put('/:id', protect, async (req, res) => {
+// @access  Private (client or admin)
+router.put('/:id', protect, authorize('contract:update'), async (req, res) => {
   try {
-    const contract = await Contract.findById(req.params.id);
-
-    if (!contract) {
-      return res.status(404).json({ error: 'Contract not found' });
-    }
-
-    // Only client can update contract details
-    if (contract.client_id.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const contract = req.resource;
 
     // Can only update active contracts
     if (contract.status !== 'active') {
@@ -117,8 +110,8 @@ router.put('/:id', protect, async (req, res) => {
 
 // @route   PUT /api/contracts/:id/status
 // @desc    Update contract status
-// @access  Private (client or vendor)
-router.put('/:id/status', protect, async (req, res) => {
+// @access  Private (client, vendor or admin)
+router.put('/:id/status', protect, authorize('contract:update_status'), async (req, res) => {
   try {
     const { status } = req.body;
 
@@ -126,20 +119,7 @@ router.put('/:id/status', protect, async (req, res) => {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    const contract = await Contract.findById(req.params.id);
-
-    if (!contract) {
-      return res.status(404).json({ error: 'Contract not found' });
-    }
-
-    // Check permissions - both client and vendor can update status
-    const hasAccess =
-      contract.client_id.toString() === req.user.id ||
-      contract.vendor_id.toString() === req.user.id;
-
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const contract = req.resource;
 
     // Status transition validations
     if (contract.status === 'completed' && status !== 'completed') {
@@ -150,15 +130,41 @@ router.put('/:id/status', protect, async (req, res) => {
       return res.status(400).json({ error: 'Cannot change status of terminated contract' });
     }
 
+    const previousStatus = contract.status;
+
     // Update contract status
     contract.status = status;
     await contract.save();
 
+    await recordAuditEvent(req, {
+      action: 'contract.status_changed',
+      targetType: 'contract',
+      targetId: contract._id,
+      before: { status: previousStatus },
+      after: { status },
+      metadata: { job_id: contract.job_id, total_amount: contract.total_amount, currency: contract.currency }
+    });
+
     // Update job status if contract is completed
     if (status === 'completed') {
       await Job.findByIdAndUpdate(contract.job_id, { status: 'completed' });
     }
 
+    if (previousStatus !== status) {
+      // notifyUser skips the actor, so this reaches the counterpart (or both parties when an
+      // admin or organization member acts)
+      for (const recipient of [contract.client_id, contract.vendor_id]) {
+        await notifyUser(req, {
+          recipient,
+          type: 'contract_status_changed',
+          title: `Contract status changed to ${status}`,
+          entity_type: 'contract',
+          entity_id: contract._id,
+          data: { job_id: contract.job_id, status, previous_status: previousStatus }
+        });
+      }
+    }
+
     res.json({
       message: `Contract status updated to ${status}`,
       contract
@@ -171,8 +177,8 @@ router.put('/:id/status', protect, async (req, res) => {
 
 // @route   POST /api/contracts/:id/milestones
 // @desc    Add milestone to contract
-// @access  Private (client only)
-router.post('/:id/milestones', protect, async (req, res) => {
+// @access  Private (client or admin)
+router.post('/:id/milestones', protect, authorize('contract:manage_milestones'), async (req, res) => {
   try {
     const {
       title,
@@ -182,16 +188,7 @@ router.post('/:id/milestones', protect, async (req, res) => {
       deliverables
     } = req.body;
 
-    const contract = await Contract.findById(req.params.id);
-
-    if (!contract) {
-      return res.status(404).json({ error: 'Contract not found' });
-    }
-
-    // Only client can add milestones
-    if (contract.client_id.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const contract = req.resource;
 
     // Can only add milestones to active contracts
     if (contract.status !== 'active') {
@@ -210,6 +207,23 @@ router.post('/:id/milestones', protect, async (req, res) => {
 
     await milestone.save();
 
+    await recordAuditEvent(req, {
+      action: 'milestone.created',
+      targetType: 'milestone',
+      targetId: milestone._id,
+      after: { title: milestone.title, amount: milestone.amount, due_date: milestone.due_date, status: milestone.status },
+      metadata: { contract_id: contract._id }
+    });
+
+    await notifyUser(req, {
+      recipient: contract.vendor_id,
+      type: 'milestone_updated',
+      title: `New milestone: ${milestone.title}`,
+      entity_type: 'milestone',
+      entity_id: milestone._id,
+      data: { contract_id: contract._id, status: milestone.status, due_date: milestone.due_date }
+    });
+
     res.status(201).json({
       message: 'Milestone added successfully',
       milestone
@@ -225,25 +239,11 @@ router.post('/:id/milestones', protect, async (req, res) => {
 
 // @route   PUT /api/contracts/:contractId/milestones/:milestoneId
 // @desc    Update milestone
-// @access  Private (client or vendor)
-router.put('/:contractId/milestones/:milestoneId', protect, async (req, res) => {
+// @access  Private (client, vendor or admin)
+router.put('/:contractId/milestones/:milestoneId', protect, authorize('contract:update_milestone', { param: 'contractId' }), async (req, res) => {
   try {
     const { status, review_notes } = req.body;
-
-    const contract = await Contract.findById(req.params.contractId);
-
-    if (!contract) {
-      return res.status(404).json({ error: 'Contract not found' });
-    }
-
-    // Check access permissions
-    const hasAccess =
-      contract.client_id.toString() === req.user.id ||
-      contract.vendor_id.toString() === req.user.id;
-
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const contract = req.resource;
 
     const milestone = await Milestone.findOne({
       _id: req.params.milestoneId,
@@ -254,6 +254,8 @@ router.put('/:contractId/milestones/:milestoneId', protect, async (req, res) =>
       return res.status(404).json({ error: 'Milestone not found' });
     }
 
+    const before = { status: milestone.status, review_notes: milestone.review_notes };
+
     // Status updates
     if (status) {
       if (!['pending', 'in_review', 'approved', 'paid'].includes(status)) {
@@ -273,6 +275,28 @@ router.put('/:contractId/milestones/:milestoneId', protect, async (req, res) =>
 
     await milestone.save();
 
+    await recordAuditEvent(req, {
+      action: 'milestone.updated',
+      targetType: 'milestone',
+      targetId: milestone._id,
+      before,
+      after: { status: milestone.status, review_notes: milestone.review_notes },
+      metadata: { contract_id: contract._id, amount: milestone.amount }
+    });
+
+    for (const recipient of [contract.client_id, contract.vendor_id]) {
+      await notifyUser(req, {
+        recipient,
+        type: 'milestone_updated',
+        title: status
+          ? `Milestone "${milestone.title}" is now ${status}`
+          : `Milestone "${milestone.title}" was updated`,
+        entity_type: 'milestone',
+        entity_id: milestone._id,
+        data: { contract_id: contract._id, status: milestone.status }
+      });
+    }
+
     res.json({
       message: 'Milestone updated successfully',
       milestone
@@ -285,19 +309,10 @@ router.put('/:contractId/milestones/:milestoneId', protect, async (req, res) =>
 
 // @route   DELETE /api/contracts/:contractId/milestones/:milestoneId
 // @desc    Delete milestone
-// @access  Private (client only)
-router.delete('/:contractId/milestones/:milestoneId', protect, async (req, res) => {
+// @access  Private (client or admin)
+router.delete('/:contractId/milestones/:milestoneId', protect, authorize('contract:manage_milestones', { param: 'contractId' }), async (req, res) => {
   try {
-    const contract = await Contract.findById(req.params.contractId);
-
-    if (!contract) {
-      return res.status(404).json({ error: 'Contract not found' });
-    }
-
-    // Only client can delete milestones
-    if (contract.client_id.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const contract = req.resource;
 
     // Can only delete from active contracts
     if (contract.status !== 'active') {
@@ -314,6 +329,14 @@ router.delete('/:contractId/milestones/:milestoneId', protect, async (req, res)
       return res.status(404).json({ error: 'Milestone not found or cannot be deleted' });
     }
 
+    await recordAuditEvent(req, {
+      action: 'milestone.deleted',
+      targetType: 'milestone',
+      targetId: milestone._id,
+      before: { title: milestone.title, amount: milestone.amount, due_date: milestone.due_date, status: milestone.status },
+      metadata: { contract_id: contract._id }
+    });
+
     res.json({ message: 'Milestone deleted successfully' });
   } catch (error) {
     console.error('Delete milestone error:', error);
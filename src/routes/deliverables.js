@@ -1,16 +1,19 @@
 import express from 'express';
 import Deliverable from '../models/Deliverable.js';
 import Contract from '../models/Contract.js';
-import Job from '../models/Job.js';
-import { protect } from '../middleware/auth.js';
+import { protect, allowApiKey } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { notifyUser } from '../utils/notifications.js';
+import { recordAuditEvent } from '../utils/audit.js';
 import { uploadBase64ToCloudinary } from '../utils/imageUtils.js';
+import { redactUserEmails } from '../utils/privacy.js';
 
 const router = express.Router();
 
 // @route   POST /api/deliverables
 // @desc    Upload a deliverable
-// @access  Private (contract vendor only)
-router.post('/', protect, async (req, res) => {
+// @access  Private (contract vendor only; API key: deliverables:write)
+router.post('/', allowApiKey('deliverables:write'), protect, authorize('contract:upload_deliverable', { body: 'contract_id' }), async (req, res) => {
   try {
     const {
       contract_id,
@@ -23,18 +26,7 @@ router.post('/', protect, async (req, res) => {
       frame_range
     } = req.body;
 
-    // Find and validate contract
-    const contract = await Contract.findById(contract_id)
-      .populate('job_id');
-
-    if (!contract) {
-      return res.status(404).json({ error: 'Contract not found' });
-    }
-
-    // Only vendor can upload deliverables
-    if (contract.vendor_id.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const contract = req.resource;
 
     // Can only upload to active contracts
     if (contract.status !== 'active') {
@@ -42,7 +34,7 @@ router.post('/', protect, async (req, res) => {
     }
 
     const deliverable = new Deliverable({
-      job_id: contract.job_id._id,
+      job_id: contract.job_id,
       contract_id,
       uploaded_by: req.user.id,
       label,
@@ -58,6 +50,7 @@ router.post('/', protect, async (req, res) => {
     await deliverable.save();
 
     await deliverable.populate('uploaded_by', 'email');
+    await redactUserEmails(deliverable, ['uploaded_by'], req.user);
 
     res.status(201).json({
       message: 'Deliverable uploaded successfully',
@@ -74,29 +67,16 @@ router.post('/', protect, async (req, res) => {
 
 // @route   GET /api/deliverables/contract/:contractId
 // @desc    Get deliverables for a contract
-// @access  Private (client or vendor)
-router.get('/contract/:contractId', protect, async (req, res) => {
+// @access  Private (client, vendor or admin; API key: deliverables:read)
+router.get('/contract/:contractId', allowApiKey('deliverables:read'), protect, authorize('contract:read', { param: 'contractId' }), async (req, res) => {
   try {
-    const contract = await Contract.findById(req.params.contractId);
-
-    if (!contract) {
-      return res.status(404).json({ error: 'Contract not found' });
-    }
-
-    // Check access permissions
-    const hasAccess =
-      contract.client_id.toString() === req.user.id ||
-      contract.vendor_id.toString() === req.user.id;
-
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const deliverables = await Deliverable.find({ contract_id: req.params.contractId })
       .populate('uploaded_by', 'email')
       .sort({ createdAt: -1 })
       .lean();
 
+    await redactUserEmails(deliverables, ['uploaded_by'], req.user);
+
     res.json(deliverables);
   } catch (error) {
     console.error('Get deliverables error:', error);
@@ -106,30 +86,17 @@ router.get('/contract/:contractId', protect, async (req, res) => {
 
 // @route   GET /api/deliverables/job/:jobId
 // @desc    Get deliverables for a job
-// @access  Private (job owner or assigned vendor)
-router.get('/job/:jobId', protect, async (req, res) => {
+// @access  Private (job owner, assigned or awarded vendor, admin; API key: deliverables:read)
+router.get('/job/:jobId', allowApiKey('deliverables:read'), protect, authorize('job:view_deliverables', { param: 'jobId' }), async (req, res) => {
   try {
-    const job = await Job.findById(req.params.jobId);
-
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-
-    // Check access permissions
-    const hasAccess =
-      job.created_by.toString() === req.user.id ||
-      job.assigned_to?.toString() === req.user.id;
-
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const deliverables = await Deliverable.find({ job_id: req.params.jobId })
       .populate('contract_id', 'status')
       .populate('uploaded_by', 'email')
       .sort({ createdAt: -1 })
       .lean();
 
+    await redactUserEmails(deliverables, ['uploaded_by'], req.user);
+
     res.json(deliverables);
   } catch (error) {
     console.error('Get job deliverables error:', error);
@@ -139,8 +106,8 @@ router.get('/job/:jobId', protect, async (req, res) => {
 
 // @route   GET /api/deliverables/:id
 // @desc    Get deliverable by ID
-// @access  Private (client or vendor)
-router.get('/:id', protect, async (req, res) => {
+// @access  Private (client, vendor or admin; API key: deliverables:read)
+router.get('/:id', allowApiKey('deliverables:read'), protect, authorize('deliverable:read'), async (req, res) => {
   try {
     const deliverable = await Deliverable.findById(req.params.id)
       .populate('contract_id')
@@ -149,18 +116,7 @@ router.get('/:id', protect, async (req, res) => {
       .populate('reviewed_by', 'email')
       .lean();
 
-    if (!deliverable) {
-      return res.status(404).json({ error: 'Deliverable not found' });
-    }
-
-    // Check access permissions
-    const hasAccess =
-      deliverable.contract_id.client_id.toString() === req.user.id ||
-      deliverable.contract_id.vendor_id.toString() === req.user.id;
-
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    await redactUserEmails(deliverable, ['uploaded_by', 'reviewed_by'], req.user);
 
     res.json(deliverable);
   } catch (error) {
@@ -175,7 +131,7 @@ router.get('/:id', protect, async (req, res) => {
 // @route   PUT /api/deliverables/:id/review
 // @desc    Review/approve deliverable
 // @access  Private (client only)
-router.put('/:id/review', protect, async (req, res) => {
+router.put('/:id/review', protect, authorize('deliverable:review'), async (req, res) => {
   try {
     const { status, review_notes } = req.body;
 
@@ -183,17 +139,8 @@ router.put('/:id/review', protect, async (req, res) => {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    const deliverable = await Deliverable.findById(req.params.id)
-      .populate('contract_id');
-
-    if (!deliverable) {
-      return res.status(404).json({ error: 'Deliverable not found' });
-    }
-
-    // Only client can review deliverables
-    if (deliverable.contract_id.client_id.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const deliverable = req.resource;
+    const before = { status: deliverable.status, review_notes: deliverable.review_notes };
 
     // Update deliverable
     deliverable.status = status;
@@ -206,6 +153,15 @@ router.put('/:id/review', protect, async (req, res) => {
 
     await deliverable.save();
 
+    await recordAuditEvent(req, {
+      action: 'deliverable.reviewed',
+      targetType: 'deliverable',
+      targetId: deliverable._id,
+      before,
+      after: { status: deliverable.status, review_notes: deliverable.review_notes },
+      metadata: { contract_id: deliverable.contract_id._id, label: deliverable.label }
+    });
+
     // Update contract deliverables status if all deliverables are approved
     const allDeliverables = await Deliverable.find({ contract_id: deliverable.contract_id._id });
     const approvedCount = allDeliverables.filter(d => d.status === 'approved').length;
@@ -220,6 +176,16 @@ router.put('/:id/review', protect, async (req, res) => {
       });
     }
 
+    await notifyUser(req, {
+      recipient: deliverable.uploaded_by,
+      type: 'deliverable_reviewed',
+      title: `Deliverable "${deliverable.label}" ${status === 'changes_requested' ? 'needs changes' : `is ${status.replace('_', ' ')}`}`,
+      message: review_notes,
+      entity_type: 'deliverable',
+      entity_id: deliverable._id,
+      data: { contract_id: deliverable.contract_id._id, status }
+    });
+
     res.json({
       message: 'Deliverable reviewed successfully',
       deliverable
@@ -232,19 +198,10 @@ router.put('/:id/review', protect, async (req, res) => {
 
 // @route   PUT /api/deliverables/:id
 // @desc    Update deliverable (vendor only, before approval)
-// @access  Private (uploader only)
-router.put('/:id', protect, async (req, res) => {
+// @access  Private (uploader only; API key: deliverables:write)
+router.put('/:id', allowApiKey('deliverables:write'), protect, authorize('deliverable:update'), async (req, res) => {
   try {
-    const deliverable = await Deliverable.findById(req.params.id);
-
-    if (!deliverable) {
-      return res.status(404).json({ error: 'Deliverable not found' });
-    }
-
-    // Only uploader can update
-    if (deliverable.uploaded_by.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const deliverable = req.resource;
 
     // Can only update before approval
     if (['approved', 'changes_requested'].includes(deliverable.status)) {
@@ -284,19 +241,10 @@ router.put('/:id', protect, async (req, res) => {
 
 // @route   DELETE /api/deliverables/:id
 // @desc    Delete deliverable
-// @access  Private (uploader only, before approval)
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (uploader only, before approval; API key: deliverables:write)
+router.delete('/:id', allowApiKey('deliverables:write'), protect, authorize('deliverable:delete'), async (req, res) => {
   try {
-    const deliverable = await Deliverable.findById(req.params.id);
-
-    if (!deliverable) {
-      return res.status(404).json({ error: 'Deliverable not found' });
-    }
-
-    // Only uploader can delete
-    if (deliverable.uploaded_by.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const deliverable = req.resource;
 
     // Can only delete before approval
     if (['approved', 'changes_requested'].includes(deliverable.status)) {
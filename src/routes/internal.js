@@ -0,0 +1,44 @@
+import express from 'express';
+import crypto from 'crypto';
+import { runWallSchedule } from '../utils/wallPublishing.js';
+
+const router = express.Router();
+
+// Only lets through requests carrying `Authorization: Bearer <CRON_SECRET>` (what Vercel Cron
+// sends when CRON_SECRET is set). Without the variable every request is refused.
+const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    console.error('Internal route called but CRON_SECRET is not set');
+    return res.status(503).json({ error: 'Scheduled jobs are not configured', code: 'CRON_NOT_CONFIGURED' });
+  }
+
+  // Hashed so the comparison is constant-time whatever the header's length
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const provided = req.get('authorization') || '';
+  if (!crypto.timingSafeEqual(digest(provided), digest(`Bearer ${secret}`))) {
+    return res.status(401).json({ error: 'Not authorized' });
+  }
+
+  next();
+};
+
+// @route   GET|POST /api/internal/wall-schedule
+// @desc    Publish and unpublish the walls whose publish_at / unpublish_at has passed.
+//          Called by Vercel Cron (GET) on serverless deployments, where the in-process
+//          scheduler doesn't run; other schedulers can POST.
+// @access  Cron (Bearer CRON_SECRET)
+const runSchedule = async (req, res) => {
+  try {
+    const { published, unpublished } = await runWallSchedule();
+    res.json({ published, unpublished });
+  } catch (error) {
+    console.error('Wall schedule error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+router.get('/wall-schedule', requireCronSecret, runSchedule);
+router.post('/wall-schedule', requireCronSecret, runSchedule);
+
+export default router;
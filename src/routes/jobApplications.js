@@ -2,20 +2,23 @@ import express from 'express';
 import JobApplication from '../models/JobApplication.js';
 import Job from '../models/Job.js';
 import Profile from '../models/Profile.js';
-import { protect } from '../middleware/auth.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { notifyUser } from '../utils/notifications.js';
+import { hasBlocked } from '../utils/blocks.js';
+import { displayName, redactUserEmails } from '../utils/privacy.js';
 
 const router = express.Router();
 
+// Job applications per user
+const applicationLimiter = rateLimit({ name: 'job-applications', windowMs: 60 * 60 * 1000, max: 20, keyBy: 'user' });
+
 // @route   POST /api/job-applications
 // @desc    Apply for a job
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('job_application:create'), requireVerifiedEmail, applicationLimiter, async (req, res) => {
   try {
-    // Only artists can apply for jobs
-    if (!req.user.roles.includes('artist')) {
-      return res.status(403).json({ error: 'Only artists can apply for jobs' });
-    }
-
     const {
       job_id,
       applicant_email,
@@ -50,6 +53,10 @@ router.post('/', protect, async (req, res) => {
       return res.status(400).json({ error: 'You cannot apply to your own job' });
     }
 
+    if (await hasBlocked(job.created_by, req.user._id)) {
+      return res.status(403).json({ error: 'You cannot apply to this employer\'s jobs', code: 'BLOCKED' });
+    }
+
     // Check if user already applied
     const existingApplication = await JobApplication.findOne({
       job_id,
@@ -78,6 +85,17 @@ router.post('/', protect, async (req, res) => {
       { path: 'job_id', select: 'title' },
       { path: 'applicant_id', select: 'email name' }
     ]);
+    await redactUserEmails(application, ['applicant_id'], req.user);
+
+    await notifyUser(req, {
+      recipient: job.created_by,
+      type: 'job_application_submitted',
+      title: `New application for "${job.title}"`,
+      message: `${await displayName(req.user._id)} applied for this job`,
+      entity_type: 'job_application',
+      entity_id: application._id,
+      data: { job_id: job._id }
+    });
 
     res.status(201).json({
       message: 'Application submitted successfully',
@@ -94,19 +112,9 @@ router.post('/', protect, async (req, res) => {
 
 // @route   GET /api/job-applications/job/:jobId
 // @desc    Get all applications for a job (job owner only)
-// @access  Private
-router.get('/job/:jobId', protect, async (req, res) => {
+// @access  Private (job owner or admin)
+router.get('/job/:jobId', protect, authorize('job:view_applications', { param: 'jobId' }), async (req, res) => {
   try {
-    const job = await Job.findById(req.params.jobId);
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-
-    // Only job owner or admin can view applications
-    if (job.created_by.toString() !== req.user.id && !req.user.roles.includes('admin')) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const applications = await JobApplication.find({ job_id: req.params.jobId })
       .populate({
         path: 'applicant_id',
@@ -128,6 +136,8 @@ router.get('/job/:jobId', protect, async (req, res) => {
       };
     });
 
+    await redactUserEmails(applicationsWithProfiles, ['applicant_id'], req.user);
+
     res.json(applicationsWithProfiles);
   } catch (error) {
     console.error('Get job applications error:', error);
@@ -151,6 +161,8 @@ router.get('/my', protect, async (req, res) => {
       })
       .sort({ createdAt: -1 });
 
+    await redactUserEmails(applications.map(application => application.job_id), ['created_by'], req.user);
+
     res.json(applications);
   } catch (error) {
     console.error('Get my applications error:', error);
@@ -180,28 +192,19 @@ router.get('/check/:jobId', protect, async (req, res) => {
 
 // @route   PUT /api/job-applications/:id/status
 // @desc    Update application status (job owner only)
-// @access  Private
-router.put('/:id/status', protect, async (req, res) => {
+// @access  Private (job owner or admin)
+router.put('/:id/status', protect, authorize('job_application:update_status'), async (req, res) => {
   try {
     const { status, notes } = req.body;
-
-    const application = await JobApplication.findById(req.params.id)
-      .populate('job_id', 'created_by');
-
-    if (!application) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
-
-    // Only job owner or admin can update status
-    if (application.job_id.created_by.toString() !== req.user.id && !req.user.roles.includes('admin')) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const application = req.resource;
 
     const validStatuses = ['pending', 'reviewed', 'shortlisted', 'rejected', 'hired'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
+    const previousStatus = application.status;
+
     application.status = status;
     if (notes) {
       application.notes = notes;
@@ -213,6 +216,18 @@ router.put('/:id/status', protect, async (req, res) => {
       { path: 'job_id', select: 'title' },
       { path: 'applicant_id', select: 'email name' }
     ]);
+    await redactUserEmails(application, ['applicant_id'], req.user);
+
+    if (previousStatus !== status) {
+      await notifyUser(req, {
+        recipient: application.applicant_id._id,
+        type: 'job_application_status_changed',
+        title: `Your application for "${application.job_id.title}" is now ${status}`,
+        entity_type: 'job_application',
+        entity_id: application._id,
+        data: { job_id: application.job_id._id, status, previous_status: previousStatus }
+      });
+    }
 
     res.json({
       message: 'Application status updated',
@@ -226,19 +241,10 @@ router.put('/:id/status', protect, async (req, res) => {
 
 // @route   DELETE /api/job-applications/:id
 // @desc    Withdraw application (applicant only)
-// @access  Private
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (applicant)
+router.delete('/:id', protect, authorize('job_application:withdraw'), async (req, res) => {
   try {
-    const application = await JobApplication.findById(req.params.id);
-
-    if (!application) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
-
-    // Only the applicant can withdraw
-    if (application.applicant_id.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const application = req.resource;
 
     // Can only withdraw pending applications
     if (application.status !== 'pending') {
@@ -4,7 +4,11 @@ import Bid from '../models/Bid.js';
 import Contract from '../models/Contract.js';
 import Movie from '../models/Movie.js';
 import User from '../models/User.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { identify, protect, allowApiKey } from '../middleware/auth.js';
+import { authorize, can } from '../middleware/authorize.js';
+import { getUserOrganizationIds, resolveActingOrganization } from '../utils/organizations.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { redactUserEmails } from '../utils/privacy.js';
 
 const router = express.Router();
 
@@ -26,7 +30,7 @@ const canTransition = (currentStatus, newStatus) => {
 // @route   POST /api/jobs
 // @desc    Create a new job
 // @access  Private (studio, admin)
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('job:create'), async (req, res) => {
   try {
     const {
       title,
@@ -53,12 +57,14 @@ router.post('/', protect, async (req, res) => {
       bid_deadline,
       expected_start_date,
       final_delivery_date,
-      notes_for_bidders
+      notes_for_bidders,
+      organization_id
     } = req.body;
 
-    // Check permissions
-    if (!req.user.roles.includes('studio') && !req.user.roles.includes('admin')) {
-      return res.status(403).json({ error: 'Only studios and admins can create jobs' });
+    // Studio organization the job is created for (members share access to it)
+    const acting = await resolveActingOrganization(req.user.id, organization_id);
+    if (acting.error) {
+      return res.status(acting.status).json({ error: acting.error });
     }
 
     // Validate job type specific requirements
@@ -96,8 +102,8 @@ router.post('/', protect, async (req, res) => {
 
     // Validate movie exists if provided
     if (movie_id) {
-      const movie = await Movie.findOne({ _id: movie_id, created_by: req.user.id });
-      if (!movie) {
+      const movie = await Movie.findById(movie_id);
+      if (!movie || !(await can(req.user, 'movie:add_job', movie))) {
         return res.status(400).json({ error: 'Movie not found or access denied' });
       }
     }
@@ -129,7 +135,8 @@ router.post('/', protect, async (req, res) => {
       final_delivery_date: job_type === 'job' ? undefined : (final_delivery_date ? new Date(final_delivery_date) : undefined),
       notes_for_bidders: job_type === 'job' ? undefined : notes_for_bidders,
       status: 'draft',
-      created_by: req.user.id
+      created_by: req.user.id,
+      organization_id: acting.organizationId
     });
 
     await job.save();
@@ -140,6 +147,7 @@ router.post('/', protect, async (req, res) => {
       { path: 'assigned_to', select: 'email' },
       { path: 'created_by', select: 'email' }
     ]);
+    await redactUserEmails(job, ['created_by', 'assigned_to'], req.user);
 
     res.status(201).json({
       message: 'Job created successfully',
@@ -161,8 +169,8 @@ router.post('/', protect, async (req, res) => {
 
 // @route   GET /api/jobs
 // @desc    Get jobs with filtering
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @access  Private (API key: jobs:read)
+router.get('/', allowApiKey('jobs:read'), protect, async (req, res) => {
   try {
 
     const {
@@ -183,6 +191,12 @@ router.get('/', protect, async (req, res) => {
     let query = {};
     let jobTypeFilter = null; // Store job_type filter separately to avoid $or conflicts
 
+    // Jobs of the user's studio organizations count as their own
+    const organizationIds = await getUserOrganizationIds(req.user.id);
+    const ownJobsCondition = {
+      $or: [{ created_by: req.user.id }, { organization_id: { $in: organizationIds } }]
+    };
+
     // Filter by job_type
     // Note: Old jobs may not have job_type field - treat them as 'freelance'
     if (job_type) {
@@ -243,7 +257,7 @@ router.get('/', protect, async (req, res) => {
 
     // User's own jobs
     if (created_by_me === 'true') {
-      query.created_by = req.user.id;
+      query.$and = [ownJobsCondition];
     }
 
     // Jobs assigned to user (direct assignment)
@@ -252,8 +266,8 @@ router.get('/', protect, async (req, res) => {
       query.assignment_mode = 'direct';
     }
 
-    // Access control for non-admin users
-    if (!req.user.roles.includes('admin')) {
+    // Access control for users who can't see every job
+    if (!(await can(req.user, 'job:list_all', undefined, { apiKey: req.apiKey }))) {
       // Build the base visibility query
       const baseQuery = { ...query };
 
@@ -276,7 +290,7 @@ router.get('/', protect, async (req, res) => {
         }
       } else if (created_by_me === 'true') {
         // If filtering by created_by_me, show ALL jobs created by user (regardless of status)
-        query.created_by = req.user.id;
+        query.$and = [ownJobsCondition];
         // Apply status filter if provided (user wants to filter their own jobs by status)
         if (baseQuery.status) {
           query.status = baseQuery.status;
@@ -289,6 +303,7 @@ router.get('/', protect, async (req, res) => {
         // Normal visibility: jobs they created, jobs assigned to them, or open jobs
         const visibilityConditions = [
           { created_by: req.user.id }, // Jobs they created (regardless of status)
+          { organization_id: { $in: organizationIds } }, // Jobs of their organizations
           { assigned_to: { $in: [req.user.id] } } // Jobs assigned to them (check if user ID is in array)
         ];
 
@@ -352,6 +367,11 @@ router.get('/', protect, async (req, res) => {
       }
     }
 
+    // Organization API keys only see their organization's jobs
+    if (req.apiKey?.organization_id) {
+      finalQuery = { $and: [finalQuery, { organization_id: req.apiKey.organization_id }] };
+    }
+
     const jobs = await Job.find(finalQuery)
       .populate('movie_id', 'title production_year genre')
       .populate('created_by', 'email')
@@ -359,6 +379,7 @@ router.get('/', protect, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
+    await redactUserEmails(jobs, ['created_by', 'assigned_to'], req.user);
 
     res.json(jobs);
   } catch (error) {
@@ -370,7 +391,7 @@ router.get('/', protect, async (req, res) => {
 // @route   GET /api/jobs/public
 // @desc    Get public jobs (open bidding jobs only)
 // @access  Public
-router.get('/public', async (req, res) => {
+router.get('/public', identify, async (req, res) => {
   try {
     const {
       status,
@@ -453,6 +474,8 @@ router.get('/public', async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
+    await redactUserEmails(jobs, ['created_by', 'assigned_to'], req.user);
+
     res.json(jobs);
   } catch (error) {
     console.error('❌ Get public jobs error:', error);
@@ -463,7 +486,7 @@ router.get('/public', async (req, res) => {
 // @route   GET /api/jobs/:id/public
 // @desc    Get public job by ID (open bidding jobs only)
 // @access  Public
-router.get('/:id/public', async (req, res) => {
+router.get('/:id/public', identify, async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .populate('movie_id', 'title production_year genre poster_url')
@@ -483,6 +506,8 @@ router.get('/:id/public', async (req, res) => {
     // Increment view count
     await Job.findByIdAndUpdate(req.params.id, { $inc: { view_count: 1 } });
 
+    await redactUserEmails(job, ['created_by', 'assigned_to'], req.user);
+
     res.json(job);
   } catch (error) {
     console.error('Get public job error:', error);
@@ -495,8 +520,8 @@ router.get('/:id/public', async (req, res) => {
 
 // @route   GET /api/jobs/:id
 // @desc    Get job by ID
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
+// @access  Private (API key: jobs:read)
+router.get('/:id', allowApiKey('jobs:read'), protect, authorize('job:read'), async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .populate('movie_id', 'title production_year genre poster_url')
@@ -504,30 +529,11 @@ router.get('/:id', protect, async (req, res) => {
       .populate('assigned_to', 'email')
       .lean();
 
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-
-    // Check access permissions
-    // Check if user is in assigned_to array
-    const isAssignedToUser = Array.isArray(job.assigned_to)
-      ? job.assigned_to.some(user => user._id.toString() === req.user.id)
-      : job.assigned_to?._id?.toString() === req.user.id;
-
-    const hasAccess =
-      req.user.roles.includes('admin') ||
-      job.created_by._id.toString() === req.user.id ||
-      (job.assignment_mode === 'open' && job.status === 'open') ||
-      isAssignedToUser ||
-      (job.status === 'awarded' && req.user.roles.some(role => ['artist', 'studio'].includes(role)) && (await Bid.exists({ job_id: job._id, bidder_id: req.user.id, status: 'accepted' })));
-
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     // Increment view count
     await Job.findByIdAndUpdate(req.params.id, { $inc: { view_count: 1 } });
 
+    await redactUserEmails(job, ['created_by', 'assigned_to'], req.user);
+
     res.json(job);
   } catch (error) {
     console.error('Get job error:', error);
@@ -540,14 +546,10 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   PUT /api/jobs/:id
 // @desc    Update job
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
+// @access  Private (job owner)
+router.put('/:id', protect, authorize('job:update'), async (req, res) => {
   try {
-    const job = await Job.findOne({ _id: req.params.id, created_by: req.user.id });
-
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+    const job = req.resource;
 
     // Prevent editing after certain statuses
     if (['awarded', 'in_progress', 'completed'].includes(job.status)) {
@@ -591,6 +593,22 @@ router.put('/:id', protect, async (req, res) => {
       { path: 'created_by', select: 'email' }
     ]);
 
+    if (updates.status && updates.status !== job.status) {
+      let action = 'job.status_changed';
+      if (updates.status === 'cancelled') action = 'job.cancelled';
+      if (updates.status === 'open' && job.status === 'draft') action = 'job.published';
+
+      await recordAuditEvent(req, {
+        action,
+        targetType: 'job',
+        targetId: job._id,
+        before: { status: job.status },
+        after: { status: updatedJob.status }
+      });
+    }
+
+    await redactUserEmails(updatedJob, ['created_by', 'assigned_to'], req.user);
+
     res.json({
       message: 'Job updated successfully',
       job: updatedJob
@@ -606,14 +624,10 @@ router.put('/:id', protect, async (req, res) => {
 
 // @route   PUT /api/jobs/:id/publish
 // @desc    Publish job (change status from draft to open)
-// @access  Private
-router.put('/:id/publish', protect, async (req, res) => {
+// @access  Private (job owner)
+router.put('/:id/publish', protect, authorize('job:publish'), async (req, res) => {
   try {
-    const job = await Job.findOne({ _id: req.params.id, created_by: req.user.id });
-
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+    const job = req.resource;
 
     if (job.status !== 'draft') {
       return res.status(400).json({ error: 'Job is not in draft status' });
@@ -629,6 +643,14 @@ router.put('/:id/publish', protect, async (req, res) => {
     job.status = 'open';
     await job.save();
 
+    await recordAuditEvent(req, {
+      action: 'job.published',
+      targetType: 'job',
+      targetId: job._id,
+      before: { status: 'draft' },
+      after: { status: job.status }
+    });
+
     res.json({
       message: 'Job published successfully',
       job
@@ -641,19 +663,11 @@ router.put('/:id/publish', protect, async (req, res) => {
 
 // @route   PUT /api/jobs/:id
 // @desc    Update a job (only by creator, only if draft or open)
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
+// @access  Private (job owner)
+router.put('/:id', protect, authorize('job:update'), async (req, res) => {
   try {
     console.log('🔍 PUT /api/jobs/:id - Request body:', JSON.stringify(req.body, null, 2));
-    const job = await Job.findById(req.params.id);
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-
-    // Only job creator can edit
-    if (job.created_by.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to edit this job' });
-    }
+    const job = req.resource;
 
     // Can edit jobs in various statuses, but restrict field editing based on status
     const editableStatuses = ['draft', 'open', 'under_review', 'awarded', 'in_progress'];
@@ -795,6 +809,7 @@ router.put('/:id', protect, async (req, res) => {
     await verifiedJob.populate('movie_id', 'title production_year genre');
     await verifiedJob.populate('created_by', 'email');
     await verifiedJob.populate('assigned_to', 'email');
+    await redactUserEmails(verifiedJob, ['created_by', 'assigned_to'], req.user);
 
     job = verifiedJob;
 
@@ -812,14 +827,10 @@ router.put('/:id', protect, async (req, res) => {
 
 // @route   DELETE /api/jobs/:id
 // @desc    Delete job
-// @access  Private
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (job owner)
+router.delete('/:id', protect, authorize('job:delete'), async (req, res) => {
   try {
-    const job = await Job.findOne({ _id: req.params.id, created_by: req.user.id });
-
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+    const job = req.resource;
 
     // Prevent deletion after certain statuses
     if (['awarded', 'in_progress', 'completed'].includes(job.status)) {
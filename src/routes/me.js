@@ -0,0 +1,79 @@
+import express from 'express';
+import User from '../models/User.js';
+import { protect, forbidImpersonation } from '../middleware/auth.js';
+import { rateLimit, credentialLimiter } from '../middleware/rateLimit.js';
+import { checkSecondFactor } from '../utils/totp.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { buildAccountExport, getAccountDeletionBlockers, deleteAccount } from '../utils/accounts.js';
+
+const router = express.Router();
+
+// Exports are heavy; a few per hour is plenty
+const exportLimiter = rateLimit({ name: 'account-export', windowMs: 60 * 60 * 1000, max: 5, keyBy: 'user' });
+
+// @route   GET /api/me/export
+// @desc    Download a JSON copy of everything stored about the current user
+// @access  Private
+router.get('/export', protect, forbidImpersonation, exportLimiter, async (req, res) => {
+  try {
+    const bundle = await buildAccountExport(req.user._id);
+
+    res.set('Content-Disposition', `attachment; filename="pikxora-export-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/me
+// @desc    Delete the current user's account (requires password, and a 2FA code when enabled)
+// @access  Private
+router.delete('/', protect, forbidImpersonation, credentialLimiter, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+two_factor_secret +two_factor_recovery_codes +two_factor_last_step');
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    if (user.two_factor_enabled && !checkSecondFactor(user, { code, recovery_code })) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const blockers = await getAccountDeletionBlockers(user._id);
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        error: 'Your account cannot be deleted yet',
+        code: 'ACCOUNT_DELETION_BLOCKED',
+        blockers
+      });
+    }
+
+    await recordAuditEvent(req, {
+      action: 'account.deleted',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    await deleteAccount(user);
+
+    // Close the user's open sockets on every device
+    const io = req.app.get('io');
+    if (io) {
+      const room = user._id.toString();
+      io.to(room).emit('sessionExpired', { reason: 'account_removed' });
+      io.in(room).disconnectSockets(true);
+    }
+
+    res.json({ message: 'Your account has been deleted' });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -1,19 +1,23 @@
 import express from 'express';
 import Movie from '../models/Movie.js';
 import { protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { getUserOrganizationIds, resolveActingOrganization } from '../utils/organizations.js';
+import { redactUserEmails } from '../utils/privacy.js';
 
 const router = express.Router();
 
 // @route   POST /api/movies
 // @desc    Create a new movie
 // @access  Private (studio, admin)
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('movie:create'), async (req, res) => {
   try {
-    const { title, description, poster_url, production_year, genre, status } = req.body;
+    const { title, description, poster_url, production_year, genre, status, organization_id } = req.body;
 
-    // Check if user has permission (studio or admin)
-    if (!req.user.roles.includes('studio') && !req.user.roles.includes('admin')) {
-      return res.status(403).json({ error: 'Only studios and admins can create movies' });
+    // Studio organization the movie is created for (members share access to it)
+    const acting = await resolveActingOrganization(req.user.id, organization_id);
+    if (acting.error) {
+      return res.status(acting.status).json({ error: acting.error });
     }
 
     const movie = new Movie({
@@ -23,12 +27,14 @@ router.post('/', protect, async (req, res) => {
       production_year,
       genre,
       status: status || 'planning',
-      created_by: req.user.id
+      created_by: req.user.id,
+      organization_id: acting.organizationId
     });
 
     await movie.save();
 
     await movie.populate('created_by', 'email');
+    await redactUserEmails(movie, ['created_by'], req.user);
 
     res.status(201).json({
       message: 'Movie created successfully',
@@ -41,11 +47,14 @@ router.post('/', protect, async (req, res) => {
 });
 
 // @route   GET /api/movies
-// @desc    Get all movies (for current user)
+// @desc    Get all movies (for current user and their organizations)
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
-    const movies = await Movie.find({ created_by: req.user.id })
+    const organizationIds = await getUserOrganizationIds(req.user.id);
+    const movies = await Movie.find({
+      $or: [{ created_by: req.user.id }, { organization_id: { $in: organizationIds } }]
+    })
       .sort({ createdAt: -1 })
       .lean();
 
@@ -58,37 +67,20 @@ router.get('/', protect, async (req, res) => {
 
 // @route   GET /api/movies/:id
 // @desc    Get movie by ID
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
-  try {
-    const movie = await Movie.findOne({
-      _id: req.params.id,
-      created_by: req.user.id
-    }).lean();
-
-    if (!movie) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
-
-    res.json(movie);
-  } catch (error) {
-    console.error('Get movie error:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid movie ID' });
-    }
-    res.status(500).json({ error: 'Server error' });
-  }
+// @access  Private (owner or admin)
+router.get('/:id', protect, authorize('movie:read'), async (req, res) => {
+  res.json(req.resource);
 });
 
 // @route   PUT /api/movies/:id
 // @desc    Update movie
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
+// @access  Private (owner)
+router.put('/:id', protect, authorize('movie:update'), async (req, res) => {
   try {
     const { title, description, poster_url, production_year, genre, status } = req.body;
 
-    const movie = await Movie.findOneAndUpdate(
-      { _id: req.params.id, created_by: req.user.id },
+    const movie = await Movie.findByIdAndUpdate(
+      req.params.id,
       {
         title,
         description,
@@ -100,19 +92,12 @@ router.put('/:id', protect, async (req, res) => {
       { new: true, runValidators: true }
     );
 
-    if (!movie) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
-
     res.json({
       message: 'Movie updated successfully',
       movie
     });
   } catch (error) {
     console.error('Update movie error:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid movie ID' });
-    }
     if (error.name === 'ValidationError') {
       return res.status(400).json({ error: error.message });
     }
@@ -122,24 +107,14 @@ router.put('/:id', protect, async (req, res) => {
 
 // @route   DELETE /api/movies/:id
 // @desc    Delete movie
-// @access  Private
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (owner)
+router.delete('/:id', protect, authorize('movie:delete'), async (req, res) => {
   try {
-    const movie = await Movie.findOneAndDelete({
-      _id: req.params.id,
-      created_by: req.user.id
-    });
-
-    if (!movie) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
+    await Movie.findByIdAndDelete(req.params.id);
 
     res.json({ message: 'Movie deleted successfully' });
   } catch (error) {
     console.error('Delete movie error:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid movie ID' });
-    }
     res.status(500).json({ error: 'Server error' });
   }
 });
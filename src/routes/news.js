@@ -1,6 +1,7 @@
 import express from 'express';
 import News from '../models/News.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
 
 const router = express.Router();
 
@@ -22,7 +23,7 @@ router.get('/public', async (req, res) => {
 });
 
 // Admin: list all news
-router.get('/', protect, adminOnly, async (req, res) => {
+router.get('/', protect, authorize('news:manage'), async (req, res) => {
   try {
     const items = await News.find()
       .sort({ createdAt: -1 })
@@ -36,7 +37,7 @@ router.get('/', protect, adminOnly, async (req, res) => {
 });
 
 // Admin: create news item
-router.post('/', protect, adminOnly, async (req, res) => {
+router.post('/', protect, authorize('news:manage'), async (req, res) => {
   try {
     const { title, teaser, category, link, image_url, is_published } = req.body;
 
@@ -62,7 +63,7 @@ router.post('/', protect, adminOnly, async (req, res) => {
 });
 
 // Admin: update news item
-router.put('/:id', protect, adminOnly, async (req, res) => {
+router.put('/:id', protect, authorize('news:manage'), async (req, res) => {
   try {
     const { title, teaser, category, link, image_url, is_published } = req.body;
 
@@ -93,7 +94,7 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
 });
 
 // Admin: delete news item
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+router.delete('/:id', protect, authorize('news:manage'), async (req, res) => {
   try {
     const news = await News.findByIdAndDelete(req.params.id);
 
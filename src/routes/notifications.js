@@ -0,0 +1,162 @@
+import express from 'express';
+import Notification from '../models/Notification.js';
+import { protect } from '../middleware/auth.js';
+import { redactUserEmails } from '../utils/privacy.js';
+
+const router = express.Router();
+
+// Emits the current unread count so other open tabs/devices stay in sync.
+// Best effort: the change is already saved, so a failed push is logged and never fails the request.
+const emitUnreadCount = async (req) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient_id: req.user.id, read: false });
+    io.to(req.user.id.toString()).emit('notificationsUpdated', { unread_count: unreadCount });
+  } catch (error) {
+    console.error('Error pushing unread notification count:', error);
+  }
+};
+
+// @route   GET /api/notifications
+// @desc    Get current user's notifications (paginated)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const query = { recipient_id: req.user.id };
+    if (req.query.unread === 'true') {
+      query.read = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('actor_id', 'email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ recipient_id: req.user.id, read: false })
+    ]);
+
+    await redactUserEmails(notifications, ['actor_id'], req.user);
+
+    res.json({
+      notifications,
+      unread_count: unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient_id: req.user.id, read: false });
+
+    res.json({ unread_count: unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient_id: req.user.id, read: false },
+      { read: true, read_at: new Date() }
+    );
+
+    await emitUnreadCount(req);
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private (recipient only)
+router.put('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient_id: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.read_at = new Date();
+      await notification.save();
+      await emitUnreadCount(req);
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private (recipient only)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      recipient_id: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (!notification.read) {
+      await emitUnreadCount(req);
+    }
+
+    res.json({ message: 'Notification deleted successfully' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,389 @@
+import express from 'express';
+import Organization, { ORGANIZATION_ROLES } from '../models/Organization.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { protect, forbidImpersonation, requireVerifiedEmail } from '../middleware/auth.js';
+import { authorize, can } from '../middleware/authorize.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { sendMail, frontendUrl } from '../utils/mailer.js';
+import {
+  createOrganization,
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation
+} from '../utils/organizations.js';
+import { createApiKey, formatApiKey, parseApiKeyInput } from '../utils/apiKeys.js';
+
+const router = express.Router();
+
+// Invitation emails per user
+const invitationLimiter = rateLimit({ name: 'organization-invitations', windowMs: 60 * 60 * 1000, max: 50, keyBy: 'user' });
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Adds the current user's role to an organization response
+const withMyRole = (organization, userId) => ({
+  ...organization.toObject(),
+  my_role: organization.getMemberRole(userId)
+});
+
+// @route   POST /api/organizations
+// @desc    Create a studio organization (creator becomes owner)
+// @access  Private (studio, admin)
+router.post('/', protect, authorize('organization:create'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Organization name is required' });
+    }
+
+    const organization = await createOrganization(req.user, name);
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization: withMyRole(organization, req.user.id)
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/my
+// @desc    Get organizations the current user belongs to
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'members.user_id': req.user.id })
+      .sort({ name: 1 });
+
+    res.json(organizations.map(organization => withMyRole(organization, req.user.id)));
+  } catch (error) {
+    console.error('Get my organizations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/invitations/preview?token=...
+// @desc    Show who sent an invitation before the invitee signs in or signs up
+// @access  Public
+router.get('/invitations/preview', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.query.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found or expired' });
+    }
+
+    await invitation.populate('organization_id', 'name');
+
+    res.json({
+      organization: invitation.organization_id,
+      email: invitation.email,
+      role: invitation.role,
+      expires_at: invitation.expires_at
+    });
+  } catch (error) {
+    console.error('Preview invitation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations/invitations/accept
+// @desc    Accept an invitation (signed in with the invited email address)
+// @access  Private
+router.post('/invitations/accept', protect, forbidImpersonation, async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.body.token);
+
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invitation not found or expired' });
+    }
+
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+    }
+
+    const organization = await acceptInvitation(invitation, req.user);
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.json({
+      message: 'Invitation accepted',
+      organization: withMyRole(organization, req.user.id)
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/:id
+// @desc    Get organization with its members
+// @access  Private (members, admin)
+router.get('/:id', protect, authorize('organization:read'), async (req, res) => {
+  try {
+    const organization = req.resource;
+    await organization.populate('members.user_id', 'email roles');
+
+    res.json(withMyRole(organization, req.user.id));
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/organizations/:id
+// @desc    Update organization details
+// @access  Private (owners)
+router.put('/:id', protect, authorize('organization:update'), async (req, res) => {
+  try {
+    const organization = req.resource;
+    const { name } = req.body;
+
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({ error: 'Organization name is required' });
+      }
+      organization.name = name;
+    }
+
+    await organization.save();
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization: withMyRole(organization, req.user.id)
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/:id/invitations
+// @desc    Get pending invitations
+// @access  Private (owners)
+router.get('/:id/invitations', protect, authorize('organization:manage_members'), async (req, res) => {
+  try {
+    const invitations = await OrganizationInvitation.find({
+      organization_id: req.params.id,
+      status: 'pending',
+      expires_at: { $gt: new Date() }
+    })
+      .populate('invited_by', 'email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(invitations);
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations/:id/invitations
+// @desc    Invite someone by email with a member role
+// @access  Private (owners)
+router.post('/:id/invitations', protect, requireVerifiedEmail, authorize('organization:manage_members'), invitationLimiter, async (req, res) => {
+  try {
+    const organization = req.resource;
+    const email = req.body.email?.trim().toLowerCase();
+    const { role } = req.body;
+
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+    }
+
+    const existingUser = await User.findOne({ email }).select('_id');
+    if (existingUser && organization.getMemberRole(existingUser._id)) {
+      return res.status(400).json({ error: 'This user is already a member' });
+    }
+
+    const { invitation, token } = await createInvitation(organization, {
+      email,
+      role,
+      invitedBy: req.user._id
+    });
+
+    const acceptUrl = frontendUrl('/organizations/invitations/accept', { token });
+
+    try {
+      await sendMail({
+        to: email,
+        subject: `You're invited to join ${organization.name} on Pikxora`,
+        text: `${req.user.email} invited you to join ${organization.name} as ${role}.\n\nAccept the invitation (valid for 7 days): ${acceptUrl}`,
+        html: `<p>${escapeHtml(req.user.email)} invited you to join <strong>${escapeHtml(organization.name)}</strong> as ${role}.</p><p><a href="${acceptUrl}">Accept the invitation</a> (valid for 7 days)</p>`
+      });
+    } catch (mailError) {
+      console.error('Invitation email error:', mailError);
+    }
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      invitation: {
+        _id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        status: invitation.status,
+        expires_at: invitation.expires_at
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/organizations/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (owners)
+router.delete('/:id/invitations/:invitationId', protect, authorize('organization:manage_members'), async (req, res) => {
+  try {
+    const invitation = await OrganizationInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, organization_id: req.params.id, status: 'pending' },
+      { status: 'revoked', responded_at: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid invitation ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/organizations/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (owners)
+router.put('/:id/members/:userId', protect, authorize('organization:manage_members'), async (req, res) => {
+  try {
+    const organization = req.resource;
+    const { role } = req.body;
+
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+    }
+
+    const member = organization.members.find(m => m.user_id.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && organization.countOwners() === 1) {
+      return res.status(400).json({ error: 'An organization needs at least one owner' });
+    }
+
+    member.role = role;
+    await organization.save();
+
+    res.json({
+      message: 'Member role updated',
+      organization: withMyRole(organization, req.user.id)
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/organizations/:id/members/:userId
+// @desc    Remove a member (owners), or leave the organization (any member, own user ID)
+// @access  Private (owners, or the member themself)
+router.delete('/:id/members/:userId', protect, authorize('organization:read'), async (req, res) => {
+  try {
+    const organization = req.resource;
+    const isSelf = req.params.userId === req.user.id;
+
+    if (!isSelf && !(await can(req.user, 'organization:manage_members', organization))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const member = organization.members.find(m => m.user_id.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && organization.countOwners() === 1) {
+      return res.status(400).json({ error: 'An organization needs at least one owner' });
+    }
+
+    organization.members = organization.members.filter(m => m.user_id.toString() !== req.params.userId);
+    await organization.save();
+
+    res.json({ message: isSelf ? 'You left the organization' : 'Member removed' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/:id/api-keys
+// @desc    Get the organization's API keys
+// @access  Private (owners)
+router.get('/:id/api-keys', protect, authorize('organization:manage_api_keys'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ organization_id: req.params.id, revoked_at: null })
+      .sort({ createdAt: -1 });
+
+    res.json(apiKeys.map(formatApiKey));
+  } catch (error) {
+    console.error('Get organization API keys error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations/:id/api-keys
+// @desc    Create an organization API key (the key is only returned once)
+// @access  Private (owners)
+router.post('/:id/api-keys', protect, requireVerifiedEmail, authorize('organization:manage_api_keys'), async (req, res) => {
+  try {
+    const input = parseApiKeyInput(req.body);
+
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const { apiKey, key } = await createApiKey(req.user, {
+      ...input,
+      organizationId: req.resource._id
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      api_key: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Create organization API key error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
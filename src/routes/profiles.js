@@ -2,14 +2,55 @@ import express from 'express';
 import Profile from '../models/Profile.js';
 import User from '../models/User.js'; // Import User model
 import mongoose from 'mongoose'; // Import mongoose
-import { protect, adminOnly } from '../middleware/auth.js';
+import { identify, protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { decideVerification, VERIFICATION_DECISIONS } from '../utils/verification.js';
+import { searchProfiles } from '../utils/profileSearch.js';
+import { refreshProfileCompleteness } from '../utils/completeness.js';
+import { applySlugChange, isSlugAvailable, PROFILE_HANDLE, validateSlug } from '../utils/slugs.js';
+import { parseRateCardInput } from '../utils/rateCards.js';
+import { getBlockerIds } from '../utils/blocks.js';
+import { PRIVACY_SETTINGS, redactProfile } from '../utils/privacy.js';
 
 const router = express.Router();
 
+// Public profile fields, in the { user, profile } shape the frontend's CurrentUser expects,
+// without the fields the owner hides from the viewer
+const toUserDetails = (user, profileDoc, viewer) => {
+  const profile = profileDoc?.toObject ? profileDoc.toObject() : profileDoc;
+  const visible = redactProfile({ ...profile, user_id: user._id, email: user.email }, viewer);
+
+  return {
+    user: {
+      id: user._id,
+      email: visible.email,
+      roles: user.roles,
+    },
+    profile: profile ? {
+      _id: profile._id,
+      name: profile.name,
+      handle: profile.handle,
+      bio: profile.bio,
+      verification_status: profile.verification_status,
+      rating: visible.rating,
+      trust_score: visible.trust_score,
+      review_stats: visible.review_stats,
+      location: visible.location,
+      avatar_url: profile.avatar_url,
+      tagline: profile.tagline,
+      brand_colors: profile.brand_colors,
+      social_links: profile.social_links,
+      skills: profile.skills,
+      rate_card: profile.rate_card,
+      wall_id: profile.wall_id,
+    } : null,
+  };
+};
+
 // @route   GET /api/profiles
 // @desc    Get all profiles (admin only)
 // @access  Private/Admin
-router.get('/', protect, adminOnly, async (req, res) => {
+router.get('/', protect, authorize('profile:list'), async (req, res) => {
   try {
     const profiles = await Profile.find({}).populate('user_id', 'email roles').sort({ createdAt: -1 });
     res.json(profiles);
@@ -20,7 +61,7 @@ router.get('/', protect, adminOnly, async (req, res) => {
 });
 
 // @route   GET /api/profiles/me
-// @desc    Get current user's profile
+// @desc    Get current user's profile, with the onboarding checklist (`completeness`)
 // @access  Private
 router.get('/me', protect, async (req, res) => {
   try {
@@ -28,7 +69,14 @@ router.get('/me', protect, async (req, res) => {
     if (!profile) {
       return res.status(404).json({ error: 'Profile not found' });
     }
-    res.json(profile);
+
+    const completeness = await refreshProfileCompleteness(profile._id);
+
+    res.json({
+      ...profile.toObject(),
+      completeness_score: completeness?.score ?? profile.completeness_score,
+      completeness
+    });
   } catch (error) {
     console.error('Get profile error:', error);
     res.status(500).json({ error: error.message });
@@ -38,7 +86,7 @@ router.get('/me', protect, async (req, res) => {
 // @route   GET /api/profiles/pending
 // @desc    Get pending studio profiles
 // @access  Private/Admin
-router.get('/pending', protect, adminOnly, async (req, res) => {
+router.get('/pending', protect, authorize('profile:list'), async (req, res) => {
   try {
     const profiles = await Profile.find({
       verification_status: 'pending'
@@ -54,7 +102,7 @@ router.get('/pending', protect, adminOnly, async (req, res) => {
 // @route   GET /api/profiles/user/:userId
 // @desc    Get user and their profile details by user ID
 // @access  Public
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', identify, async (req, res) => {
   try {
     const user = await User.findById(req.params.userId).select('-password'); // Exclude password
     if (!user) {
@@ -63,30 +111,7 @@ router.get('/user/:userId', async (req, res) => {
 
     const profile = await Profile.findOne({ user_id: req.params.userId });
 
-    // Combine user and profile data into the CurrentUser structure
-    const userDetails = {
-      user: {
-        id: user._id,
-        email: user.email,
-        roles: user.roles,
-      },
-      profile: profile ? {
-        _id: profile._id,
-        name: profile.name,
-        bio: profile.bio,
-        verification_status: profile.verification_status,
-        rating: profile.rating,
-        location: profile.location,
-        avatar_url: profile.avatar_url,
-        tagline: profile.tagline,
-        brand_colors: profile.brand_colors,
-        social_links: profile.social_links,
-        skills: profile.skills,
-        wall_id: profile.wall_id,
-      } : null,
-    };
-
-    res.json(userDetails);
+    res.json(toUserDetails(user, profile, req.user));
   } catch (error) {
     console.error('Get user profile by ID error:', error);
     if (error.name === 'CastError') {
@@ -99,7 +124,7 @@ router.get('/user/:userId', async (req, res) => {
 // @route   GET /api/profiles/profile/:profileId
 // @desc    Get profile by profile ID with populated user data
 // @access  Public
-router.get('/profile/:profileId', async (req, res) => {
+router.get('/profile/:profileId', identify, async (req, res) => {
   try {
     const profile = await Profile.findById(req.params.profileId).populate('user_id', 'email roles'); // Populate user data
 
@@ -107,30 +132,7 @@ router.get('/profile/:profileId', async (req, res) => {
       return res.status(404).json({ error: 'Profile not found' });
     }
 
-    // Combine user and profile data for frontend consistency
-    const userDetails = {
-      user: {
-        id: profile.user_id._id,
-        email: profile.user_id.email,
-        roles: profile.user_id.roles,
-      },
-      profile: {
-        _id: profile._id,
-        name: profile.name,
-        bio: profile.bio,
-        verification_status: profile.verification_status,
-        rating: profile.rating,
-        location: profile.location,
-        avatar_url: profile.avatar_url,
-        tagline: profile.tagline,
-        brand_colors: profile.brand_colors,
-        social_links: profile.social_links,
-        skills: profile.skills,
-        wall_id: profile.wall_id,
-      },
-    };
-
-    res.json(userDetails);
+    res.json(toUserDetails(profile.user_id, profile, req.user));
   } catch (error) {
     console.error('Get profile by profile ID error:', error);
     if (error.name === 'CastError') {
@@ -140,22 +142,56 @@ router.get('/profile/:profileId', async (req, res) => {
   }
 });
 
+// @route   GET /api/profiles/by-handle/:handle
+// @desc    Get profile by handle (old handles answer 301 with the current URL)
+// @access  Public
+router.get('/by-handle/:handle', identify, async (req, res) => {
+  try {
+    const handle = String(req.params.handle).toLowerCase();
+
+    const profile = await Profile.findOne({ handle }).populate('user_id', 'email roles');
+
+    if (!profile) {
+      const renamed = await Profile.findOne({ previous_handles: handle }).select('handle').lean();
+      if (renamed) {
+        return res.redirect(301, `${req.baseUrl}/by-handle/${renamed.handle}`);
+      }
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json(toUserDetails(profile.user_id, profile, req.user));
+  } catch (error) {
+    console.error('Get profile by handle error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/profiles/discover
 // @desc    Get verified artists and studios for discovery
+//          Query: limit, excludeUserIds, min_completeness (0-100)
 // @access  Private
 router.get('/discover', protect, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 6;
+    const minCompleteness = req.query.min_completeness !== undefined ? Number(req.query.min_completeness) : 0;
+    if (!Number.isFinite(minCompleteness) || minCompleteness < 0 || minCompleteness > 100) {
+      return res.status(400).json({ error: 'min_completeness must be a number from 0 to 100' });
+    }
     const currentUserId = req.user.id;
     const excludeUserIds = req.query.excludeUserIds ? req.query.excludeUserIds.split(',').map(id => new mongoose.Types.ObjectId(id)) : [];
+    // Users who blocked the current user don't show up
+    excludeUserIds.push(...await getBlockerIds(req.user._id));
 
     const aggregationPipeline = [
       // Exclude the current user's profile
       { $match: { user_id: { $ne: new mongoose.Types.ObjectId(currentUserId) } } },
       // Exclude already associated users
       { $match: { user_id: { $nin: excludeUserIds } } },
-      // Match profiles that are approved
-      { $match: { verification_status: 'approved' } },
+      // Match profiles that are approved (and complete enough, when asked)
+      { $match: {
+          verification_status: 'approved',
+          ...(minCompleteness > 0 ? { completeness_score: { $gte: minCompleteness } } : {})
+      }},
       // Lookup the associated user to filter by roles
       { $lookup: {
           from: 'users',
@@ -178,11 +214,15 @@ router.get('/discover', protect, async (req, res) => {
           role: { $arrayElemAt: ['$user.roles', 0] }, // Get the first role as 'role'
           location: 1,
           verification_status: 1,
+          completeness_score: 1,
           wall_id: 1,
+          user_id: 1,
+          privacy: 1,
       }},
     ];
 
     const discoveredProfiles = await Profile.aggregate(aggregationPipeline);
+    discoveredProfiles.forEach(profile => redactProfile(profile, req.user));
 
     res.json(discoveredProfiles);
   } catch (error) {
@@ -191,16 +231,39 @@ router.get('/discover', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/profiles/search
+// @desc    Search approved artists and studios with facet filters, facet counts and cursor pagination
+//          Query: q, role, skills, software, disciplines, languages (comma-separated), location,
+//          min_experience, max_experience, max_day_rate, currency, min_completeness,
+//          available_from, available_to, sort (relevance|rating|recent), cursor, limit
+// @access  Private
+router.get('/search', protect, async (req, res) => {
+  try {
+    const result = await searchProfiles(req.query, { excludeUserIds: await getBlockerIds(req.user._id) });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    result.results.forEach(profile => redactProfile(profile, req.user));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Search profiles error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/profiles/:id
 // @desc    Get profile by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', identify, async (req, res) => {
   try {
     const profile = await Profile.findById(req.params.id);
     if (!profile) {
       return res.status(404).json({ error: 'Profile not found' });
     }
-    res.json(profile);
+    res.json(redactProfile(profile.toObject(), req.user));
   } catch (error) {
     console.error('Get profile error:', error);
     res.status(500).json({ error: error.message });
@@ -212,11 +275,27 @@ router.get('/:id', async (req, res) => {
 // @access  Private
 router.put('/me', protect, async (req, res) => {
   try {
+    // Verification and trust score are set by admins, ratings come from reviews, the handle,
+    // rate card and privacy settings have their own endpoints
+    const {
+      verification_status, verification_history, trust_score, rating, review_stats, review_totals, user_id,
+      handle, previous_handles, completeness_score, rate_card, privacy,
+      ...updates
+    } = req.body;
+
     const profile = await Profile.findOneAndUpdate(
       { user_id: req.user.id },
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
+
+    if (profile) {
+      const completeness = await refreshProfileCompleteness(profile._id);
+      if (completeness) {
+        profile.completeness_score = completeness.score;
+      }
+    }
+
     res.json(profile);
   } catch (error) {
     console.error('Update profile error:', error);
@@ -224,31 +303,184 @@ router.put('/me', protect, async (req, res) => {
   }
 });
 
-// @route   PUT /api/profiles/:id/verify
-// @desc    Verify a profile
-// @access  Private/Admin
-router.put('/:id/verify', protect, adminOnly, async (req, res) => {
+// @route   PUT /api/profiles/me/handle
+// @desc    Change the current user's handle (the old one keeps redirecting). Body: { handle }
+// @access  Private
+router.put('/me/handle', protect, async (req, res) => {
   try {
-    const { verification_status, rating } = req.body;
-    
-    const updateData = { verification_status };
-    if (rating) {
-      updateData.rating = rating;
+    const validation = validateSlug(req.body.handle);
+
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
     }
-    
-    const profile = await Profile.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
+
+    const profile = await Profile.findOne({ user_id: req.user.id });
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    if (!(await isSlugAvailable(Profile, PROFILE_HANDLE, validation.slug, profile._id))) {
+      return res.status(409).json({ error: 'This handle is already taken', code: 'HANDLE_TAKEN' });
+    }
+
+    applySlugChange(profile, PROFILE_HANDLE, validation.slug);
+    await profile.save();
+
+    res.json({
+      message: 'Handle updated',
+      handle: profile.handle,
+      previous_handles: profile.previous_handles
+    });
+  } catch (error) {
+    console.error('Update handle error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This handle is already taken', code: 'HANDLE_TAKEN' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/profiles/me/rate-card
+// @desc    Publish the current user's rate card (replaces the previous one)
+//          Body: { currency, day_rate?, per_shot?: { low, medium, high }, per_frame?: { roto, paint } }
+// @access  Private
+router.put('/me/rate-card', protect, async (req, res) => {
+  try {
+    const { error, rateCard } = parseRateCardInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const update = { rate_card: { ...rateCard, updated_at: new Date() } };
+    // Keep the searchable day rate in step with the card
+    if (rateCard.day_rate !== undefined) {
+      update.day_rate = { amount: rateCard.day_rate, currency: rateCard.currency };
+    }
+
+    const profile = await Profile.findOneAndUpdate(
+      { user_id: req.user.id },
+      { $set: update },
+      { new: true, runValidators: true }
     );
-    
+
     if (!profile) {
       return res.status(404).json({ error: 'Profile not found' });
     }
-    
-    res.json(profile);
+
+    await refreshProfileCompleteness(profile._id);
+
+    res.json({ rate_card: profile.rate_card, day_rate: profile.day_rate });
+  } catch (error) {
+    console.error('Update rate card error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/profiles/me/rate-card
+// @desc    Unpublish the current user's rate card (the searchable day rate is kept)
+// @access  Private
+router.delete('/me/rate-card', protect, async (req, res) => {
+  try {
+    const profile = await Profile.findOneAndUpdate(
+      { user_id: req.user.id },
+      { $unset: { rate_card: 1 } }
+    );
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({ message: 'Rate card removed' });
+  } catch (error) {
+    console.error('Delete rate card error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/profiles/me/privacy
+// @desc    Choose which fields other users see on your profile, wall and in populated responses
+//          Body: any of { show_email, show_location, show_rating } (booleans)
+// @access  Private
+router.put('/me/privacy', protect, async (req, res) => {
+  try {
+    const update = {};
+
+    for (const setting of Object.keys(PRIVACY_SETTINGS)) {
+      if (req.body[setting] === undefined) continue;
+      if (typeof req.body[setting] !== 'boolean') {
+        return res.status(400).json({ error: `${setting} must be true or false` });
+      }
+      update[`privacy.${setting}`] = req.body[setting];
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ error: `Send at least one of: ${Object.keys(PRIVACY_SETTINGS).join(', ')}` });
+    }
+
+    const profile = await Profile.findOneAndUpdate(
+      { user_id: req.user.id },
+      { $set: update },
+      { new: true }
+    ).select('privacy');
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({ privacy: profile.privacy });
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/profiles/:id/verify
+// @desc    Verify a profile directly (also closes a pending verification request)
+//          Body: { verification_status: 'approved'|'rejected', reason, trust_score? }
+// @access  Private/Admin
+router.put('/:id/verify', protect, authorize('profile:verify'), async (req, res) => {
+  try {
+    const { verification_status } = req.body;
+    // `rating` is the pre-trust-score name of the field
+    const trustScore = req.body.trust_score ?? req.body.rating;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!VERIFICATION_DECISIONS.includes(verification_status)) {
+      return res.status(400).json({ error: `verification_status must be one of: ${VERIFICATION_DECISIONS.join(', ')}` });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    // Checked up front: decideVerification closes the pending request before updating the profile
+    const { min, max } = Profile.schema.path('trust_score').options;
+    if (trustScore !== undefined && !(typeof trustScore === 'number' && trustScore >= min && trustScore <= max)) {
+      return res.status(400).json({ error: `trust_score must be a number from ${min} to ${max}` });
+    }
+
+    const result = await decideVerification(req, {
+      profileId: req.params.id,
+      status: verification_status,
+      reason,
+      trustScore
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json(result.profile);
   } catch (error) {
     console.error('Verify profile error:', error);
+    if (error.name === 'CastError' || error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
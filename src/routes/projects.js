@@ -2,7 +2,8 @@ import express from 'express';
 import Project from '../models/Project.js';
 import Wall from '../models/Wall.js';
 import Profile from '../models/Profile.js';
-import { protect } from '../middleware/auth.js';
+import { identify, protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
 import { 
   isBase64Image, 
   isBase64Video,
@@ -12,14 +13,21 @@ import {
   deleteFromCloudinary,
   extractPublicIdFromUrl
 } from '../utils/imageUtils.js';
+import { refreshProfileCompleteness, refreshWallOwnerCompleteness } from '../utils/completeness.js';
+import { hasBlocked } from '../utils/blocks.js';
+import { findVisibleWall, seesUnpublishedWalls } from '../utils/wallPublishing.js';
 
 const router = express.Router();
 
 // @route   GET /api/projects/wall/:wallId
 // @desc    Get projects for a wall
-// @access  Public
-router.get('/wall/:wallId', async (req, res) => {
+// @access  Public for published walls (not to users the wall's owner blocked); owner or admin otherwise
+router.get('/wall/:wallId', identify, async (req, res) => {
   try {
+    if (!(await findVisibleWall(req.params.wallId, req.user))) {
+      return res.status(404).json({ error: 'Wall not found' });
+    }
+
     const projects = await Project.find({ wall_id: req.params.wallId })
       .sort({ order_index: 1 });
     
@@ -33,23 +41,8 @@ router.get('/wall/:wallId', async (req, res) => {
 // @route   POST /api/projects
 // @desc    Create a new project
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('wall:update', { body: 'wall_id' }), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.body.wall_id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
     // Handle media_url: upload base64 to Cloudinary if needed
     const projectData = { ...req.body };
     if (projectData.media_url) {
@@ -92,6 +85,8 @@ router.post('/', protect, async (req, res) => {
     
     const project = new Project(projectData);
     await project.save();
+
+    await refreshProfileCompleteness(req.resource.user_id);
     
     res.status(201).json(project);
   } catch (error) {
@@ -103,23 +98,9 @@ router.post('/', protect, async (req, res) => {
 // @route   PUT /api/projects/:id
 // @desc    Update a project
 // @access  Private
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorize('project:update'), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-    
-    // Check if user owns the wall
-    const wall = await Wall.findById(project.wall_id);
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const project = req.resource;
     
     // Handle media_url: upload base64 to Cloudinary if needed, delete old if replaced
     const updateData = { ...req.body };
@@ -216,27 +197,9 @@ router.put('/:id', protect, async (req, res) => {
 // @route   DELETE /api/projects/:id
 // @desc    Delete a project
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorize('project:delete'), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-    
-    // Check if user owns the wall
-    const wall = await Wall.findById(project.wall_id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const project = req.resource;
     
     // Delete associated files from Cloudinary before deleting the project
     try {
@@ -262,6 +225,7 @@ router.delete('/:id', protect, async (req, res) => {
     }
     
     await Project.findByIdAndDelete(req.params.id);
+    await refreshWallOwnerCompleteness(project.wall_id);
     res.json({ message: 'Project deleted successfully' });
   } catch (error) {
     console.error('Delete project error:', error);
@@ -271,18 +235,23 @@ router.delete('/:id', protect, async (req, res) => {
 
 // @route   GET /api/projects/user/:userId
 // @desc    Get all projects for a specific user
-// @access  Public
-router.get('/user/:userId', async (req, res) => {
+// @access  Public (not to users the owner blocked)
+router.get('/user/:userId', identify, async (req, res) => {
   try {
     // Find the profile associated with the userId
     const profile = await Profile.findOne({ user_id: req.params.userId }).lean();
 
-    if (!profile) {
+    // Blocked viewers get the same answer as for a missing profile
+    if (!profile || (req.user && await hasBlocked(profile.user_id, req.user._id))) {
       return res.status(404).json({ error: 'Profile not found for this user.' });
     }
 
-    // Find the wall associated with the profile
-    const wall = await Wall.findOne({ user_id: profile._id }).lean();
+    // Find the wall associated with the profile (only a published one, except for the user and admins)
+    const wallQuery = { user_id: profile._id };
+    if (!seesUnpublishedWalls(profile.user_id, req.user)) {
+      wallQuery.published = true;
+    }
+    const wall = await Wall.findOne(wallQuery).lean();
 
     if (!wall) {
       return res.status(404).json({ error: 'Wall not found for this user.' });
@@ -1,15 +1,17 @@
 import express from 'express';
 import Review from '../models/Review.js';
-import Contract from '../models/Contract.js';
-import Profile from '../models/Profile.js';
-import { protect } from '../middleware/auth.js';
+import { identify, protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { notifyUser } from '../utils/notifications.js';
+import { updateReviewStats } from '../utils/ratings.js';
+import { redactUserEmails } from '../utils/privacy.js';
 
 const router = express.Router();
 
 // @route   POST /api/reviews
 // @desc    Create a review for a completed contract
 // @access  Private (client only)
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('contract:review', { body: 'contract_id' }), async (req, res) => {
   try {
     const {
       contract_id,
@@ -18,17 +20,7 @@ router.post('/', protect, async (req, res) => {
       aspects
     } = req.body;
 
-    // Find and validate contract
-    const contract = await Contract.findById(contract_id);
-
-    if (!contract) {
-      return res.status(404).json({ error: 'Contract not found' });
-    }
-
-    // Only client can review
-    if (contract.client_id.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const contract = req.resource;
 
     // Can only review completed contracts
     if (contract.status !== 'completed') {
@@ -58,9 +50,19 @@ router.post('/', protect, async (req, res) => {
       { path: 'reviewer_id', select: 'email' },
       { path: 'target_user_id', select: 'email' }
     ]);
-
-    // Update profile rating (aggregate calculation)
-    await updateProfileRating(contract.vendor_id);
+    await redactUserEmails(review, ['reviewer_id', 'target_user_id'], req.user);
+
+    await updateReviewStats(contract.vendor_id, { after: review });
+
+    await notifyUser(req, {
+      recipient: contract.vendor_id,
+      type: 'review_received',
+      title: `You received a ${review.rating}-star review`,
+      message: review.review_text,
+      entity_type: 'review',
+      entity_id: review._id,
+      data: { contract_id: contract._id, job_id: contract.job_id, rating: review.rating }
+    });
 
     res.status(201).json({
       message: 'Review submitted successfully',
@@ -78,7 +80,7 @@ router.post('/', protect, async (req, res) => {
 // @route   GET /api/reviews/user/:userId
 // @desc    Get reviews for a user
 // @access  Public (only public reviews)
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', identify, async (req, res) => {
   try {
     const reviews = await Review.find({
       target_user_id: req.params.userId,
@@ -90,6 +92,8 @@ router.get('/user/:userId', async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
+    await redactUserEmails(reviews, ['reviewer_id'], req.user);
+
     // Calculate aggregate stats
     const stats = {
       total_reviews: reviews.length,
@@ -127,6 +131,8 @@ router.get('/my', protect, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
+    await redactUserEmails(reviews, ['target_user_id'], req.user);
+
     res.json(reviews);
   } catch (error) {
     console.error('Get my reviews error:', error);
@@ -137,7 +143,7 @@ router.get('/my', protect, async (req, res) => {
 // @route   GET /api/reviews/:id
 // @desc    Get review by ID
 // @access  Public (if public) or Private (reviewer only)
-router.get('/:id', async (req, res) => {
+router.get('/:id', identify, async (req, res) => {
   try {
     const review = await Review.findById(req.params.id)
       .populate('contract_id', 'total_amount currency')
@@ -155,6 +161,8 @@ router.get('/:id', async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    await redactUserEmails(review, ['reviewer_id', 'target_user_id'], req.user);
+
     res.json(review);
   } catch (error) {
     console.error('Get review error:', error);
@@ -168,18 +176,9 @@ router.get('/:id', async (req, res) => {
 // @route   PUT /api/reviews/:id
 // @desc    Update review
 // @access  Private (reviewer only)
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorize('review:update'), async (req, res) => {
   try {
-    const review = await Review.findById(req.params.id);
-
-    if (!review) {
-      return res.status(404).json({ error: 'Review not found' });
-    }
-
-    // Only reviewer can update
-    if (review.reviewer_id.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const review = req.resource;
 
     const { rating, review_text, aspects, is_public } = req.body;
 
@@ -195,10 +194,7 @@ router.put('/:id', protect, async (req, res) => {
       { new: true, runValidators: true }
     );
 
-    // Update profile rating if rating changed
-    if (rating !== undefined) {
-      await updateProfileRating(review.target_user_id);
-    }
+    await updateReviewStats(review.target_user_id, { before: review, after: updatedReview });
 
     res.json({
       message: 'Review updated successfully',
@@ -216,26 +212,15 @@ router.put('/:id', protect, async (req, res) => {
 // @route   DELETE /api/reviews/:id
 // @desc    Delete review
 // @access  Private (reviewer only)
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorize('review:delete'), async (req, res) => {
   try {
-    const review = await Review.findById(req.params.id);
+    const review = await Review.findByIdAndDelete(req.resource._id);
 
-    if (!review) {
-      return res.status(404).json({ error: 'Review not found' });
+    // Only count the removal once if two deletes race
+    if (review) {
+      await updateReviewStats(review.target_user_id, { before: review });
     }
 
-    // Only reviewer can delete
-    if (review.reviewer_id.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const targetUserId = review.target_user_id;
-
-    await Review.findByIdAndDelete(req.params.id);
-
-    // Update profile rating after deletion
-    await updateProfileRating(targetUserId);
-
     res.json({ message: 'Review deleted successfully' });
   } catch (error) {
     console.error('Delete review error:', error);
@@ -243,37 +228,4 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-// Helper function to update profile rating based on reviews
-async function updateProfileRating(userId) {
-  try {
-    const reviews = await Review.find({
-      target_user_id: userId,
-      is_public: true
-    }).select('rating aspects');
-
-    if (reviews.length === 0) {
-      // Reset to null if no reviews
-      await Profile.findOneAndUpdate(
-        { user_id: userId },
-        { rating: null }
-      );
-      return;
-    }
-
-    // Calculate average rating
-    const averageRating = reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length;
-
-    // Round to nearest 0.5
-    const roundedRating = Math.round(averageRating * 2) / 2;
-
-    await Profile.findOneAndUpdate(
-      { user_id: userId },
-      { rating: roundedRating }
-    );
-  } catch (error) {
-    console.error('Error updating profile rating:', error);
-    // Don't throw - this is a background operation
-  }
-}
-
 export default router;
@@ -1,17 +1,22 @@
 import express from 'express';
 import TeamMember from '../models/TeamMember.js';
-import Wall from '../models/Wall.js';
-import Profile from '../models/Profile.js';
-import { protect } from '../middleware/auth.js';
+import { identify, protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
 import { isBase64Image, isCloudinaryUrl, uploadBase64ToCloudinary, deleteFromCloudinary, extractPublicIdFromUrl } from '../utils/imageUtils.js';
+import { refreshProfileCompleteness, refreshWallOwnerCompleteness } from '../utils/completeness.js';
+import { findVisibleWall } from '../utils/wallPublishing.js';
 
 const router = express.Router();
 
 // @route   GET /api/team/wall/:wallId
 // @desc    Get team members for a wall
-// @access  Public
-router.get('/wall/:wallId', async (req, res) => {
+// @access  Public for published walls (not to users the wall's owner blocked); owner or admin otherwise
+router.get('/wall/:wallId', identify, async (req, res) => {
   try {
+    if (!(await findVisibleWall(req.params.wallId, req.user))) {
+      return res.status(404).json({ error: 'Wall not found' });
+    }
+
     const teamMembers = await TeamMember.find({ wall_id: req.params.wallId })
       .sort({ order_index: 1, createdAt: 1 });
     
@@ -30,23 +35,8 @@ router.get('/wall/:wallId', async (req, res) => {
 // @route   POST /api/team
 // @desc    Create a new team member
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('wall:update', { body: 'wall_id' }), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.body.wall_id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
     // Handle avatar_url: upload base64 to Cloudinary if needed
     const memberData = { ...req.body };
     if (memberData.avatar_url && isBase64Image(memberData.avatar_url)) {
@@ -61,6 +51,8 @@ router.post('/', protect, async (req, res) => {
     
     const teamMember = new TeamMember(memberData);
     await teamMember.save();
+
+    await refreshProfileCompleteness(req.resource.user_id);
     
     res.status(201).json(teamMember.toObject());
   } catch (error) {
@@ -72,27 +64,9 @@ router.post('/', protect, async (req, res) => {
 // @route   PUT /api/team/:id
 // @desc    Update a team member
 // @access  Private
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorize('team_member:update'), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const teamMember = await TeamMember.findById(req.params.id);
-    if (!teamMember) {
-      return res.status(404).json({ error: 'Team member not found' });
-    }
-    
-    // Check if user owns the wall
-    const wall = await Wall.findById(teamMember.wall_id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const teamMember = req.resource;
     
     // Handle avatar_url: upload base64 to Cloudinary if needed, delete old if replaced
     const updateData = { ...req.body };
@@ -138,27 +112,9 @@ router.put('/:id', protect, async (req, res) => {
 // @route   DELETE /api/team/:id
 // @desc    Delete a team member
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorize('team_member:delete'), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const teamMember = await TeamMember.findById(req.params.id);
-    if (!teamMember) {
-      return res.status(404).json({ error: 'Team member not found' });
-    }
-    
-    // Check if user owns the wall
-    const wall = await Wall.findById(teamMember.wall_id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const teamMember = req.resource;
     
     // Delete avatar from Cloudinary if it exists
     if (teamMember.avatar_url && isCloudinaryUrl(teamMember.avatar_url)) {
@@ -174,6 +130,7 @@ router.delete('/:id', protect, async (req, res) => {
     }
     
     await TeamMember.findByIdAndDelete(req.params.id);
+    await refreshWallOwnerCompleteness(teamMember.wall_id);
     res.json({ message: 'Team member deleted successfully' });
   } catch (error) {
     console.error('Delete team member error:', error);
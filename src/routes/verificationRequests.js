@@ -0,0 +1,278 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Profile from '../models/Profile.js';
+import VerificationRequest from '../models/VerificationRequest.js';
+import { protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { rules } from '../config/policies.js';
+import { decideVerification, prepareVerificationDocuments, VERIFICATION_DECISIONS } from '../utils/verification.js';
+
+const router = express.Router();
+
+const REQUEST_STATUSES = VerificationRequest.schema.path('status').enumValues;
+
+// @route   POST /api/verification-requests
+// @desc    Submit the current studio's profile for verification (again, after a rejection)
+//          Body: { documents: [{ type, label?, url }], notes? } - url is a link or a base64 image/PDF
+// @access  Private (studio)
+router.post('/', protect, authorize('verification_request:create'), async (req, res) => {
+  try {
+    const profile = await Profile.findOne({ user_id: req.user.id });
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    if (profile.verification_status === 'approved') {
+      return res.status(409).json({ error: 'Your profile is already verified', code: 'ALREADY_VERIFIED' });
+    }
+
+    if (await VerificationRequest.exists({ profile_id: profile._id, status: 'pending' })) {
+      return res.status(409).json({ error: 'A verification request is already pending', code: 'REQUEST_PENDING' });
+    }
+
+    const { documents, error } = await prepareVerificationDocuments(req.body.documents);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const request = await VerificationRequest.create({
+      profile_id: profile._id,
+      submitted_by: req.user._id,
+      documents,
+      notes: req.body.notes
+    });
+
+    // Back in the review queue after a rejection
+    if (profile.verification_status !== 'pending') {
+      profile.verification_status = 'pending';
+      await profile.save();
+    }
+
+    res.status(201).json({
+      message: 'Verification request submitted',
+      request
+    });
+  } catch (error) {
+    console.error('Submit verification request error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A verification request is already pending', code: 'REQUEST_PENDING' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/verification-requests/my
+// @desc    Get the current user's verification requests (newest first) and profile status
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const profile = await Profile.findOne({ user_id: req.user.id }).select('verification_status');
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const requests = await VerificationRequest.find({ profile_id: profile._id })
+      .select('-decided_by')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      verification_status: profile.verification_status,
+      requests
+    });
+  } catch (error) {
+    console.error('Get my verification requests error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/verification-requests?status=pending&profile_id=
+// @desc    Review queue (oldest first); defaults to pending requests
+// @access  Private/Admin
+router.get('/', protect, authorize('verification_request:list'), async (req, res) => {
+  try {
+    const { status = 'pending', profile_id } = req.query;
+    const query = {};
+
+    if (status !== 'all') {
+      if (!REQUEST_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: all, ${REQUEST_STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+    if (profile_id) {
+      if (!mongoose.isValidObjectId(profile_id)) {
+        return res.status(400).json({ error: 'Invalid profile_id' });
+      }
+      query.profile_id = profile_id;
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [requests, total] = await Promise.all([
+      VerificationRequest.find(query)
+        .populate('profile_id', 'name email location avatar_url verification_status')
+        .populate('decided_by', 'email')
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      VerificationRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get verification requests error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/verification-requests/profile/:profileId/history
+// @desc    Get a profile's verification decisions and requests
+// @access  Private (admin, profile owner)
+router.get('/profile/:profileId/history', protect, authorize('profile:verification_history', { param: 'profileId' }), async (req, res) => {
+  try {
+    const profile = req.resource;
+    const isAdmin = rules.admin({ user: req.user });
+
+    await profile.populate('verification_history.decided_by', 'email');
+
+    const requests = await VerificationRequest.find({ profile_id: profile._id })
+      .select(isAdmin ? '' : '-decided_by')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      verification_status: profile.verification_status,
+      // Studios see the decisions and reasons, not which admin made them
+      history: profile.verification_history.map(entry => {
+        const { decided_by, ...decision } = entry.toObject();
+        return isAdmin ? { ...decision, decided_by } : decision;
+      }),
+      requests
+    });
+  } catch (error) {
+    console.error('Get verification history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/verification-requests/:id
+// @desc    Get a verification request
+// @access  Private (admin, submitter)
+router.get('/:id', protect, authorize('verification_request:read'), async (req, res) => {
+  try {
+    const request = req.resource;
+    await request.populate('profile_id', 'name email location avatar_url verification_status');
+
+    if (rules.admin({ user: req.user })) {
+      await request.populate('decided_by', 'email');
+      return res.json(request);
+    }
+
+    const { decided_by, ...rest } = request.toObject();
+    res.json(rest);
+  } catch (error) {
+    console.error('Get verification request error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/verification-requests/:id/decision
+// @desc    Approve or reject a pending request. Body: { status: 'approved'|'rejected', reason }
+// @access  Private/Admin
+router.put('/:id/decision', protect, authorize('verification_request:decide'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!VERIFICATION_DECISIONS.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${VERIFICATION_DECISIONS.join(', ')}` });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    // Claim the request so two admins can't decide it twice
+    const request = await VerificationRequest.findOneAndUpdate(
+      { _id: req.resource._id, status: 'pending' },
+      { status, decided_by: req.user._id, decision_reason: reason, decided_at: new Date() },
+      { new: true, runValidators: true }
+    );
+
+    if (!request) {
+      return res.status(409).json({ error: `Request is already ${req.resource.status}` });
+    }
+
+    const result = await decideVerification(req, {
+      profileId: request.profile_id,
+      status,
+      reason,
+      request
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({
+      message: status === 'approved' ? 'Profile verified' : 'Verification rejected',
+      request,
+      profile: result.profile
+    });
+  } catch (error) {
+    console.error('Decide verification request error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/verification-requests/:id
+// @desc    Withdraw a pending request
+// @access  Private (submitter)
+router.delete('/:id', protect, authorize('verification_request:withdraw'), async (req, res) => {
+  try {
+    const request = await VerificationRequest.findOneAndUpdate(
+      { _id: req.resource._id, status: 'pending' },
+      { status: 'withdrawn' },
+      { new: true }
+    );
+
+    if (!request) {
+      return res.status(409).json({ error: `Request is already ${req.resource.status}` });
+    }
+
+    // The profile goes back to the outcome of the last decision, if there was one
+    const profile = await Profile.findById(request.profile_id).select('+verification_history');
+    if (profile) {
+      const lastDecision = profile.verification_history[profile.verification_history.length - 1];
+      profile.verification_status = lastDecision?.status || 'pending';
+      await profile.save();
+    }
+
+    res.json({
+      message: 'Verification request withdrawn',
+      request
+    });
+  } catch (error) {
+    console.error('Withdraw verification request error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
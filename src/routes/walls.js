@@ -4,7 +4,11 @@ import Project from '../models/Project.js';
 import TeamMember from '../models/TeamMember.js';
 import Profile from '../models/Profile.js';
 import User from '../models/User.js';
-import { protect } from '../middleware/auth.js';
+import WallRevision from '../models/WallRevision.js';
+import WallView from '../models/WallView.js';
+import { identify, protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import { 
   isBase64Image, 
   isBase64Video,
@@ -15,9 +19,38 @@ import {
   extractPublicIdFromUrl,
   validateBase64ImageSize
 } from '../utils/imageUtils.js';
+import { refreshProfileCompleteness } from '../utils/completeness.js';
+import { applySlugChange, generateUniqueSlug, isSlugAvailable, validateSlug, WALL_SLUG } from '../utils/slugs.js';
+import { getBlockerIds, hasBlocked } from '../utils/blocks.js';
+import { redactProfile } from '../utils/privacy.js';
+import {
+  applyWallPatch,
+  deleteWallMedia,
+  parseWallPatch,
+  prepareWallMedia,
+  requestedVersion,
+  wallETag
+} from '../utils/wallUpdates.js';
+import { diffFields } from '../utils/audit.js';
+import {
+  deleteUnreferencedWallMedia,
+  deleteWallRevisions,
+  findPreviousWallRevision,
+  findWallRevision,
+  recordWallRevision,
+  restoreUpdate,
+  WALL_CONTENT_FIELDS,
+  wallContent,
+  wallMediaFiles
+} from '../utils/wallRevisions.js';
+import { findVisibleWall, isWallHiddenFrom, publishWall, seesUnpublishedWalls, unpublishWall } from '../utils/wallPublishing.js';
+import { getWallAnalytics, parseAnalyticsRange, recordWallEvent, WALL_EVENT_TYPES } from '../utils/wallAnalytics.js';
 
 const router = express.Router();
 
+// Visitor analytics events, per IP
+const wallEventLimiter = rateLimit({ name: 'wall-events', windowMs: 60 * 1000, max: 60 });
+
 // IMPORTANT: Define specific routes before parameterized routes
 
 // @route   GET /api/walls/my
@@ -35,14 +68,15 @@ router.get('/my', protect, async (req, res) => {
     
     // Optimize: Use lean() for faster queries, select only needed fields
     const walls = await Wall.find({ user_id: profile._id })
-      .select('-__v') // Exclude version key
-      .populate('user_id', 'name email rating location associations')
+      .select('+draft')
+      .populate('user_id', 'name handle email rating review_stats trust_score location associations')
       .sort({ createdAt: -1 })
       .lean(); // Use lean for better performance
     
     // Cloudinary URLs are ready to use, no conversion needed
-    const wallsWithUrls = walls.map((wall) => {
+    const wallsWithUrls = walls.map(({ __v, ...wall }) => {
       const wallObj = wall; // Already a plain object with lean()
+      wallObj.version = __v ?? 0; // For If-Match on PATCH /api/walls/:id
       
       // Add rating directly from populated user_id (profile) for easier frontend access
       if (wallObj.user_id && wallObj.user_id.rating) {
@@ -63,38 +97,93 @@ router.get('/my', protect, async (req, res) => {
 });
 
 // @route   PUT /api/walls/:id/view
-// @desc    Increment wall view count
-// @access  Public
-router.put('/:id/view', async (req, res) => {
+// @desc    Record a wall view (optional body: { referrer } with document.referrer). Bots, the
+//          owner and repeat views within 30 minutes aren't counted.
+// @access  Public for published walls (not to users the owner blocked); owner or admin otherwise
+router.put('/:id/view', wallEventLimiter, identify, async (req, res) => {
   try {
-    const wall = await Wall.findById(req.params.id);
+    // Walls the visitor can't see can't be viewed either
+    const wall = await findVisibleWall(req.params.id, req.user, 'view_count');
     
     if (!wall) {
       return res.status(404).json({ error: 'Wall not found' });
     }
     
-    wall.view_count += 1;
-    await wall.save();
+    const counted = await recordWallEvent(req, wall, { type: 'view' });
+    let viewCount = wall.view_count;
+
+    if (counted) {
+      const updated = await Wall.findByIdAndUpdate(wall._id, { $inc: { view_count: 1 } }, { new: true, timestamps: false })
+        .select('view_count')
+        .lean();
+      viewCount = updated?.view_count ?? viewCount + 1;
+    }
     
-    res.json({ view_count: wall.view_count });
+    res.json({ view_count: viewCount, counted });
   } catch (error) {
     console.error('Increment view error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// @route   POST /api/walls/:id/events
+// @desc    Record a visitor interaction: { type: 'showreel_play' } or
+//          { type: 'project_click', project_id }. Bots and the owner aren't counted.
+// @access  Public for published walls (not to users the owner blocked); owner or admin otherwise
+router.post('/:id/events', wallEventLimiter, identify, async (req, res) => {
+  try {
+    const { type, project_id } = req.body;
+
+    if (!WALL_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${WALL_EVENT_TYPES.join(', ')}` });
+    }
+
+    const wall = await findVisibleWall(req.params.id, req.user);
+
+    if (!wall) {
+      return res.status(404).json({ error: 'Wall not found' });
+    }
+
+    if (type === 'project_click') {
+      if (!project_id) {
+        return res.status(400).json({ error: 'project_id is required' });
+      }
+      if (!(await Project.exists({ _id: project_id, wall_id: wall._id }))) {
+        return res.status(404).json({ error: 'Project not found on this wall' });
+      }
+    }
+
+    const counted = await recordWallEvent(req, wall, { type, projectId: type === 'project_click' ? project_id : undefined });
+
+    res.status(counted ? 201 : 200).json({ counted });
+  } catch (error) {
+    console.error('Record wall event error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/walls
-// @desc    Get all published walls (excluding artist walls)
+// @desc    Get all published walls (excluding artist walls and walls whose owner blocked the viewer)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', identify, async (req, res) => {
   try {
+    const blockerIds = req.user ? await getBlockerIds(req.user._id) : [];
+    const blockerProfileIds = blockerIds.length > 0
+      ? await Profile.find({ user_id: { $in: blockerIds } }).distinct('_id')
+      : [];
+
     // Optimize: Use lean() and limit results for better performance
-    const walls = await Wall.find({ published: true })
+    const walls = await Wall.find({ published: true, user_id: { $nin: blockerProfileIds } })
       .select('-__v') // Exclude version key
-      .populate('user_id', 'name email rating location associations user_id')
+      .populate('user_id', 'name handle email rating review_stats trust_score location associations user_id privacy')
       .sort({ createdAt: -1 })
       .limit(100) // Limit results to prevent huge responses
       .lean(); // Use lean for better performance
+
+    walls.forEach(wall => redactProfile(wall.user_id, req.user));
     
 
     // Cloudinary URLs are ready to use, no conversion needed
@@ -190,23 +279,71 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/walls/by-slug/:slug
+// @desc    Get wall by slug (old slugs answer 301 with the current URL)
+// @access  Public for published walls (not to users the owner blocked); owner or admin otherwise
+router.get('/by-slug/:slug', identify, async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+
+    const wall = await Wall.findOne({ slug })
+      .select('-previous_slugs')
+      .populate('user_id', 'name handle email rating review_stats trust_score location associations user_id privacy')
+      .lean();
+
+    if (!wall) {
+      const renamed = await Wall.findOne({ previous_slugs: slug }).select('slug').lean();
+      if (renamed) {
+        return res.redirect(301, `${req.baseUrl}/by-slug/${renamed.slug}`);
+      }
+      return res.status(404).json({ error: 'Wall not found' });
+    }
+
+    // Blocked viewers and unpublished walls get the same answer as a missing wall
+    if (await isWallHiddenFrom(wall, wall.user_id?.user_id, req.user)) {
+      return res.status(404).json({ error: 'Wall not found' });
+    }
+
+    redactProfile(wall.user_id, req.user);
+    wall.version = wall.__v ?? 0; // For If-Match on PATCH /api/walls/:id
+    delete wall.__v;
+
+    // Add rating directly from populated user_id (profile) for easier frontend access
+    if (wall.user_id && wall.user_id.rating) {
+      wall.rating = wall.user_id.rating;
+    }
+
+    res.json(wall);
+  } catch (error) {
+    console.error('Get wall by slug error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // @route   GET /api/walls/:id
 // @desc    Get wall by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public for published walls (not to users the owner blocked); owner or admin otherwise
+router.get('/:id', identify, async (req, res) => {
   try {
     // Optimize: Use lean() for faster query
     const wall = await Wall.findById(req.params.id)
-      .select('-__v') // Exclude version key
-      .populate('user_id', 'name email rating location associations')
+      .populate('user_id', 'name handle email rating review_stats trust_score location associations user_id privacy')
       .lean(); // Use lean for better performance
     
     if (!wall) {
       return res.status(404).json({ error: 'Wall not found' });
     }
+
+    // Blocked viewers and unpublished walls get the same answer as a missing wall
+    if (await isWallHiddenFrom(wall, wall.user_id?.user_id, req.user)) {
+      return res.status(404).json({ error: 'Wall not found' });
+    }
+
+    redactProfile(wall.user_id, req.user);
     
     // Note: wall is already a plain object due to lean()
-    const wallObj = wall;
+    const { __v, ...wallObj } = wall;
+    wallObj.version = __v ?? 0; // For If-Match on PATCH /api/walls/:id
     
     // Add rating directly from populated user_id (profile) for easier frontend access
     if (wallObj.user_id && wallObj.user_id.rating) {
@@ -239,7 +376,22 @@ router.post('/', protect, async (req, res) => {
     }
 
     // Prepare wall data
-    const wallData = { ...req.body };
+    // Drafts and schedules have their own endpoints
+    const { slug, previous_slugs, draft, draft_updated_at, publish_at, unpublish_at, ...wallData } = req.body;
+
+    // Use the requested slug, or derive one from the title
+    if (slug !== undefined) {
+      const validation = validateSlug(slug);
+      if (validation.error) {
+        return res.status(400).json({ error: `Slug: ${validation.error}` });
+      }
+      if (!(await isSlugAvailable(Wall, WALL_SLUG, validation.slug))) {
+        return res.status(409).json({ error: 'This slug is already taken', code: 'SLUG_TAKEN' });
+      }
+      wallData.slug = validation.slug;
+    } else {
+      wallData.slug = await generateUniqueSlug(Wall, WALL_SLUG, wallData.title, 'wall');
+    }
     
     // Handle logo_url: upload base64 to Cloudinary, keep existing Cloudinary URLs
     if (wallData.logo_url) {
@@ -360,9 +512,12 @@ router.post('/', protect, async (req, res) => {
     if (!wall || !wall._id) {
       throw new Error('Wall was not created successfully');
     }
+
+    await refreshProfileCompleteness(profile._id);
+    await recordWallRevision(req, wall, { action: 'create' });
     
     const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
+      .populate('user_id', 'name handle email rating review_stats trust_score location associations');
     
     const wallObj = populatedWall.toObject();
     
@@ -385,2863 +540,530 @@ router.post('/', protect, async (req, res) => {
   }
 });
 
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
+// Sends a wall to its owner after a change, with its version (also as the ETag) and draft
+const sendOwnerWall = (res, wall) => {
+  const { __v, ...wallObj } = wall.toObject();
+  wallObj.version = __v;
+  wallObj.draft = wallObj.draft ?? null;
+
+  // Add rating directly from populated user_id (profile) for easier frontend access
+  if (wallObj.user_id && wallObj.user_id.rating) {
+    wallObj.rating = wallObj.user_id.rating;
+  }
+
+  res.set('ETag', wallETag(wall));
+  res.json(wallObj);
+};
+
+// 412 with the wall's current version, for a conditional update that found the wall changed
+const sendVersionConflict = async (res, wallId) => {
+  const current = await Wall.findById(wallId).select('__v').lean();
+  return res.status(412).json({
+    error: 'The wall was changed by someone else. Reload it and try again.',
+    code: 'VERSION_CONFLICT',
+    version: current?.__v ?? 0
+  });
+};
+
+// For actions where If-Match is optional: answers 400/412 and returns true when the version sent
+// is malformed or stale
+const rejectStaleVersion = (req, res, wall) => {
+  const version = requestedVersion(req);
+
+  if (Number.isNaN(version)) {
+    res.status(400).json({ error: 'If-Match must be a wall version' });
+    return true;
+  }
+  if (version !== null && version !== (wall.__v ?? 0)) {
+    res.status(412).json({
+      error: 'The wall was changed by someone else. Reload it and try again.',
+      code: 'VERSION_CONFLICT',
+      version: wall.__v ?? 0
+    });
+    return true;
+  }
+  return false;
+};
+
+// @route   PATCH /api/walls/:id
+// @desc    Update some fields of a wall. Send the version you edited as an If-Match header
+//          (or `version` in the body); if the wall changed since, the update is refused with 412.
+//          Media fields take a base64 file, a Cloudinary URL or an embed URL, or null to clear.
+//          While the wall is published (or has a draft), changes go to its draft and stay off the
+//          live wall until it is published.
+// @access  Private (owner)
+router.patch('/:id', protect, authorize('wall:update'), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+    const wall = req.resource;
+    const version = requestedVersion(req);
+
+    if (version === null) {
+      return res.status(428).json({
+        error: 'Send the wall version you edited in an If-Match header',
+        code: 'VERSION_REQUIRED'
+      });
     }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ error: 'If-Match must be a wall version' });
     }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
+    if (version !== (wall.__v ?? 0)) {
+      return res.status(412).json({
+        error: 'The wall was changed by someone else. Reload it and try again.',
+        code: 'VERSION_CONFLICT',
+        version: wall.__v ?? 0
+      });
     }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
+
+    const patch = parseWallPatch(req.body);
+
+    if (patch.errors) {
+      return res.status(400).json({ error: 'Invalid wall update', code: 'INVALID_FIELDS', fields: patch.errors });
     }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
+
+    const { set, unset } = patch;
+    const editDraft = wall.published || wall.draft != null;
+    const base = editDraft ? (wall.draft ?? wallContent(wall)) : wall;
+    const media = await prepareWallMedia(base, set, unset);
+
+    if (media.errors) {
+      await deleteWallMedia(media.uploaded);
+      return res.status(400).json({ error: 'Invalid wall update', code: 'INVALID_FIELDS', fields: media.errors });
     }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
+
+    const update = { $inc: { __v: 1 } };
+    if (editDraft) {
+      update.$set = { draft: wallContent(applyWallPatch(base, set, unset)), draft_updated_at: new Date() };
+    } else {
+      if (Object.keys(set).length > 0) update.$set = set;
+      if (unset.length > 0) update.$unset = Object.fromEntries(unset.map(path => [path, '']));
     }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
+
+    // Only applies if nobody saved a new version while the media was uploading
+    const updated = await Wall.findOneAndUpdate(
+      { _id: wall._id, __v: version },
+      update,
+      { new: true, runValidators: true }
+    )
+      .select('+draft')
+      .populate('user_id', 'name handle email rating review_stats trust_score location associations');
+
+    if (!updated) {
+      await deleteWallMedia(media.uploaded);
+      return sendVersionConflict(res, wall._id);
     }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
+
+    if (editDraft) {
+      // Uploads dropped from the draft before it was ever published
+      await deleteUnreferencedWallMedia(wall._id, wallMediaFiles(base));
+    } else {
+      // Replaced media stays on Cloudinary while a revision references it
+      await recordWallRevision(req, updated, { action: 'update', previous: wall });
+      await refreshProfileCompleteness(wall.user_id);
     }
-    
-    res.status(201).json(wallObj);
+
+    sendOwnerWall(res, updated);
   } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    console.error('Update wall error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Profile name and handle of revision authors, by user ID
+const revisionAuthors = async (revisions) => {
+  const authorIds = revisions.map(revision => revision.author_id).filter(Boolean);
+  const profiles = await Profile.find({ user_id: { $in: authorIds } }).select('user_id name handle').lean();
+  return new Map(profiles.map(profile => [profile.user_id.toString(), { name: profile.name, handle: profile.handle }]));
+};
+
+const revisionSummary = (revision, authors) => ({
+  revision: revision.revision,
+  action: revision.action,
+  restored_from: revision.restored_from,
+  author_id: revision.author_id,
+  author: revision.author_id ? authors.get(revision.author_id.toString()) : undefined,
+  changed_fields: revision.changed_fields,
+  createdAt: revision.createdAt
+});
+
+// @route   GET /api/walls/:id/analytics?from=&to=
+// @desc    Wall analytics for a range of UTC days (YYYY-MM-DD, inclusive; default the last 30,
+//          at most 366): totals, a row per day, top referrers, countries and project clicks
+// @access  Private (owner)
+router.get('/:id/analytics', protect, authorize('wall:analytics'), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const analytics = await getWallAnalytics(req.resource._id, range);
+
+    res.json({ ...analytics, view_count: req.resource.view_count });
+  } catch (error) {
+    console.error('Get wall analytics error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/walls/:id/revisions
+// @desc    Get a wall's revision history, newest first (who saved, when, which fields changed)
+// @access  Private (owner)
+router.get('/:id/revisions', protect, authorize('wall:revisions'), async (req, res) => {
+  try {
+    const revisions = await WallRevision.find({ wall_id: req.resource._id })
+      .select('-content')
+      .sort({ revision: -1 })
+      .lean();
+    const authors = await revisionAuthors(revisions);
+
+    res.json({
+      version: req.resource.__v ?? 0,
+      revisions: revisions.map(revision => revisionSummary(revision, authors))
     });
+  } catch (error) {
+    console.error('Get wall revisions error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
+// @route   GET /api/walls/:id/revisions/:rev
+// @desc    Get a revision with the wall content it saved
+// @access  Private (owner)
+router.get('/:id/revisions/:rev', protect, authorize('wall:revisions'), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+    const revision = await findWallRevision(req.resource._id, req.params.rev);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
     }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
+
+    const authors = await revisionAuthors([revision]);
+    res.json({ ...revisionSummary(revision, authors), content: revision.content });
+  } catch (error) {
+    console.error('Get wall revision error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/walls/:id/revisions/:rev/diff?against=
+// @desc    Get the content fields that differ between a revision and an earlier one (default: the
+//          revision before it), as { field: { from, to } }. `against=current` compares with the wall.
+// @access  Private (owner)
+router.get('/:id/revisions/:rev/diff', protect, authorize('wall:revisions'), async (req, res) => {
+  try {
+    const wall = req.resource;
+    const revision = await findWallRevision(wall._id, req.params.rev);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
     }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
+
+    const { against } = req.query;
+    let from;
+    let fromContent;
+
+    if (against === 'current') {
+      from = 'current';
+      fromContent = wallContent(wall);
+    } else if (against !== undefined) {
+      const base = await findWallRevision(wall._id, against);
+      if (!base) {
+        return res.status(404).json({ error: 'Revision to compare against not found' });
+      }
+      from = base.revision;
+      fromContent = base.content;
+    } else {
+      const base = await findPreviousWallRevision(wall._id, revision.revision);
+      from = base ? base.revision : null;
+      fromContent = base ? base.content : {};
     }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
+
+    res.json({
+      from,
+      to: revision.revision,
+      changes: diffFields(fromContent, revision.content)
+    });
+  } catch (error) {
+    console.error('Diff wall revisions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/walls/:id/revisions/:rev/restore
+// @desc    Put a revision's content and media back on the live wall (a draft is kept). This saves
+//          a new revision, so a restore can itself be undone. Send If-Match with the current
+//          version to avoid overwriting an edit made in the meantime (412 if the wall changed).
+// @access  Private (owner)
+router.post('/:id/revisions/:rev/restore', protect, authorize('wall:update'), async (req, res) => {
+  try {
+    const wall = req.resource;
+
+    if (rejectStaleVersion(req, res, wall)) return;
+
+    const revision = await findWallRevision(wall._id, req.params.rev);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
     }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
+
+    const { $set, $unset } = restoreUpdate(revision.content);
+    const update = { $set, $inc: { __v: 1 } };
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    const updated = await Wall.findOneAndUpdate(
+      { _id: wall._id, __v: wall.__v ?? 0 },
+      update,
+      { new: true, runValidators: true }
+    )
+      .select('+draft')
+      .populate('user_id', 'name handle email rating review_stats trust_score location associations');
+
+    if (!updated) {
+      return sendVersionConflict(res, wall._id);
     }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
-    }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
-    }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
-  } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
-    }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
-    }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
-    }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
-    }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
-  } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
-    }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
-    }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
-    }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
-    }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
-  } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
-    }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
-    }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
-    }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
-    }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
-  } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
-    }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
-    }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
-    }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
-    }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
-  } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
-    }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
-    }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
-    }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
-    }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
-  } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
-    }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
-    }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
-    }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
-    }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
-  } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
-    }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
-    }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
-    }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
-    }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
-  } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
 
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
-    }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
-    }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
-    }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
-    }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
-  } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
+    await recordWallRevision(req, updated, { action: 'restore', previous: wall, restoredFrom: revision.revision });
+    await refreshProfileCompleteness(wall.user_id);
 
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
-    }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
-    }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
-    }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
-    }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
+    sendOwnerWall(res, updated);
   } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
-    }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
-    }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
+    console.error('Restore wall revision error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
     }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/walls/:id/draft
+// @desc    Preview a wall as it will look once published: the live wall with its draft applied
+//          (just the live wall when there is no draft)
+// @access  Private (owner)
+router.get('/:id/draft', protect, authorize('wall:draft'), async (req, res) => {
+  try {
+    const wall = await req.resource.populate('user_id', 'name handle email rating review_stats trust_score location associations');
+    const { __v, draft, ...wallObj } = wall.toObject();
+
+    if (draft) {
+      WALL_CONTENT_FIELDS.forEach(field => delete wallObj[field]);
+      Object.assign(wallObj, draft);
     }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
+    wallObj.version = __v;
+    wallObj.has_draft = Boolean(draft);
+
     if (wallObj.user_id && wallObj.user_id.rating) {
       wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
     }
-    
-    res.status(201).json(wallObj);
+
+    res.json(wallObj);
   } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    console.error('Preview wall draft error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
+// @route   DELETE /api/walls/:id/draft
+// @desc    Discard a wall's draft (If-Match optional, 412 when stale)
+// @access  Private (owner)
+router.delete('/:id/draft', protect, authorize('wall:update'), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
+    const wall = req.resource;
+
+    if (rejectStaleVersion(req, res, wall)) return;
+
+    if (!wall.draft) {
+      return res.status(404).json({ error: 'This wall has no draft' });
     }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
+
+    const updated = await Wall.findOneAndUpdate(
+      { _id: wall._id, __v: wall.__v ?? 0 },
+      { $unset: { draft: '', draft_updated_at: '' }, $inc: { __v: 1 } },
+      { new: true }
+    )
+      .select('+draft')
+      .populate('user_id', 'name handle email rating review_stats trust_score location associations');
+
+    if (!updated) {
+      return sendVersionConflict(res, wall._id);
     }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
+
+    await deleteUnreferencedWallMedia(wall._id, wallMediaFiles(wall.draft));
+
+    sendOwnerWall(res, updated);
+  } catch (error) {
+    console.error('Discard wall draft error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/walls/:id/publish
+// @desc    Publish a wall now: its draft (if any) replaces the live content and the wall goes live.
+//          Clears a pending publish_at. If-Match optional, 412 when stale.
+// @access  Private (owner)
+router.post('/:id/publish', protect, authorize('wall:update'), async (req, res) => {
+  try {
+    const wall = req.resource;
+
+    if (rejectStaleVersion(req, res, wall)) return;
+
+    if (wall.published && !wall.draft) {
+      return res.status(400).json({ error: 'The wall is live and has no draft to publish', code: 'NOTHING_TO_PUBLISH' });
     }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
-      }
+
+    const updated = await publishWall(wall, { req });
+
+    if (!updated) {
+      return sendVersionConflict(res, wall._id);
     }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
+
+    await updated.populate('user_id', 'name handle email rating review_stats trust_score location associations');
+    sendOwnerWall(res, updated);
+  } catch (error) {
+    console.error('Publish wall error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
     }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/walls/:id/unpublish
+// @desc    Take a wall down (its draft is kept). Clears a pending unpublish_at. If-Match optional,
+//          412 when stale.
+// @access  Private (owner)
+router.post('/:id/unpublish', protect, authorize('wall:update'), async (req, res) => {
+  try {
+    const wall = req.resource;
+
+    if (rejectStaleVersion(req, res, wall)) return;
+
+    if (!wall.published) {
+      return res.status(400).json({ error: 'The wall is not published', code: 'NOT_PUBLISHED' });
     }
-    
-    Object.assign(wall, updateData);
-    await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
+
+    const updated = await unpublishWall(wall);
+
+    if (!updated) {
+      return sendVersionConflict(res, wall._id);
     }
-    
-    res.status(201).json(wallObj);
+
+    await updated.populate('user_id', 'name handle email rating review_stats trust_score location associations');
+    sendOwnerWall(res, updated);
   } catch (error) {
-    console.error('Create wall error:', error);
-    const errorMessage = error.message || 'Failed to create wall';
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    console.error('Unpublish wall error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// @route   PUT /api/walls/:id
-// @desc    Update a wall
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
+// @route   PUT /api/walls/:id/schedule
+// @desc    Schedule a wall to go live and/or come down. Body: { publish_at, unpublish_at }
+//          (future dates; null clears one, a missing one is left as it is). Publishing promotes
+//          the draft as it is at that time.
+// @access  Private (owner)
+router.put('/:id/schedule', protect, authorize('wall:update'), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
+    const wall = req.resource;
+    const now = new Date();
+    const errors = {};
+    const schedule = { publish_at: wall.publish_at ?? null, unpublish_at: wall.unpublish_at ?? null };
+
+    for (const field of ['publish_at', 'unpublish_at']) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+
+      if (value === null) {
+        schedule[field] = null;
+        continue;
+      }
+
+      const date = new Date(value);
+      if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+        errors[field] = 'Must be an ISO 8601 date';
+      } else if (date <= now) {
+        errors[field] = 'Must be in the future';
+      } else {
+        schedule[field] = date;
+      }
     }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
+
+    if (!errors.publish_at && !errors.unpublish_at && schedule.publish_at && schedule.unpublish_at &&
+        schedule.unpublish_at <= schedule.publish_at) {
+      errors.unpublish_at = 'Must be after publish_at';
     }
-    
-    // Prepare update data
-    const updateData = { ...req.body };
-    
-    // Track old URLs to delete from Cloudinary if replaced
-    const oldUrls = {
-      logo_url: wall.logo_url,
-      hero_media_url: wall.hero_media_url,
-      showreel_url: wall.showreel_url
-    };
-    
-    // Handle logo_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.logo_url && updateData.logo_url !== oldUrls.logo_url) {
-      try {
-        if (isBase64Image(updateData.logo_url)) {
-          // Base64 data received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.logo_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Logo image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.logo_url, 'logos', 'logo', 'image');
-          updateData.logo_url = uploadResult.secure_url;
-          
-          // Delete old logo from Cloudinary if it exists
-          if (oldUrls.logo_url && isCloudinaryUrl(oldUrls.logo_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.logo_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'image');
-              } catch (error) {
-                console.error('Error deleting old logo from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.logo_url) && !isEmbedUrl(updateData.logo_url)) {
-          return res.status(400).json({ error: 'Logo URL must be a base64 image, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing logo_url:', error);
-        return res.status(400).json({ error: `Logo image error: ${error.message}` });
-      }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid schedule', code: 'INVALID_FIELDS', fields: errors });
     }
-    
-    // Handle hero_media_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.hero_media_url && updateData.hero_media_url !== oldUrls.hero_media_url) {
-      try {
-        if (isBase64Image(updateData.hero_media_url)) {
-          // Base64 image received - validate size before uploading (10MB max for images)
-          const validation = validateBase64ImageSize(updateData.hero_media_url, 10);
-          if (!validation.valid) {
-            return res.status(400).json({ error: `Hero image: ${validation.error}` });
-          }
-          // Upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'image');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'image' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'image';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (isBase64Video(updateData.hero_media_url)) {
-          // Base64 video received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.hero_media_url, 'hero', 'hero', 'video');
-          updateData.hero_media_url = uploadResult.secure_url;
-          // Set hero_media_type to 'video' if not specified
-          if (!updateData.hero_media_type) {
-            updateData.hero_media_type = 'video';
-          }
-          
-          // Delete old hero media from Cloudinary if it exists
-          if (oldUrls.hero_media_url && isCloudinaryUrl(oldUrls.hero_media_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.hero_media_url);
-            if (oldPublicId) {
-              try {
-                const resourceType = wall.hero_media_type === 'video' ? 'video' : 'image';
-                await deleteFromCloudinary(oldPublicId, resourceType);
-              } catch (error) {
-                console.error('Error deleting old hero media from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.hero_media_url) && !isEmbedUrl(updateData.hero_media_url)) {
-          return res.status(400).json({ error: 'Hero media URL must be a base64 image/video, Cloudinary URL, or embed URL' });
-        }
-      } catch (error) {
-        console.error('Error processing hero_media_url:', error);
-        return res.status(400).json({ error: `Hero media error: ${error.message}` });
+
+    const $set = {};
+    const $unset = {};
+    for (const [field, date] of Object.entries(schedule)) {
+      if (date) {
+        $set[field] = date;
+      } else {
+        $unset[field] = '';
       }
     }
-    
-    // Handle showreel_url: upload base64 to Cloudinary, delete old if replaced
-    if (updateData.showreel_url && updateData.showreel_type === 'upload' && 
-        updateData.showreel_url !== oldUrls.showreel_url) {
-      try {
-        if (isBase64Video(updateData.showreel_url)) {
-          // Base64 video data received - upload to Cloudinary
-          const uploadResult = await uploadBase64ToCloudinary(updateData.showreel_url, 'showreels', 'showreel', 'video');
-          updateData.showreel_url = uploadResult.secure_url;
-          
-          // Delete old showreel from Cloudinary if it exists
-          if (oldUrls.showreel_url && isCloudinaryUrl(oldUrls.showreel_url)) {
-            const oldPublicId = extractPublicIdFromUrl(oldUrls.showreel_url);
-            if (oldPublicId) {
-              try {
-                await deleteFromCloudinary(oldPublicId, 'video');
-              } catch (error) {
-                console.error('Error deleting old showreel from Cloudinary:', error);
-                // Continue even if deletion fails
-              }
-            }
-          }
-        } else if (!isCloudinaryUrl(updateData.showreel_url)) {
-          return res.status(400).json({ error: 'Showreel URL must be a base64 video or Cloudinary URL when type is upload' });
-        }
-      } catch (error) {
-        console.error('Error processing showreel_url:', error);
-        return res.status(400).json({ error: `Showreel error: ${error.message}` });
-      }
+
+    const updated = await Wall.findByIdAndUpdate(wall._id, { $set, $unset }, { new: true })
+      .select('publish_at unpublish_at published')
+      .lean();
+
+    res.json({
+      published: updated.published,
+      publish_at: updated.publish_at ?? null,
+      unpublish_at: updated.unpublish_at ?? null
+    });
+  } catch (error) {
+    console.error('Schedule wall error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/walls/:id/slug
+// @desc    Change a wall's slug (the old one keeps redirecting). Body: { slug }
+// @access  Private (owner)
+router.put('/:id/slug', protect, authorize('wall:update'), async (req, res) => {
+  try {
+    const validation = validateSlug(req.body.slug);
+
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
     }
-    
-    // Handle associations: upload base64 images to Cloudinary
-    if (Array.isArray(updateData.associations)) {
-      for (let i = 0; i < updateData.associations.length; i++) {
-        const assoc = updateData.associations[i];
-        if (assoc && assoc.image && isBase64Image(assoc.image)) {
-          try {
-            const validation = validateBase64ImageSize(assoc.image, 10);
-            if (!validation.valid) {
-              return res.status(400).json({ error: `Association image ${i + 1}: ${validation.error}` });
-            }
-            const uploadResult = await uploadBase64ToCloudinary(assoc.image, 'associations', 'association', 'image');
-            updateData.associations[i] = { ...assoc, image: uploadResult.secure_url };
-          } catch (error) {
-            console.error('Error processing association image:', error);
-            return res.status(400).json({ error: `Association image ${i + 1}: ${error.message}` });
-          }
-        }
-      }
+
+    const wall = req.resource;
+
+    if (!(await isSlugAvailable(Wall, WALL_SLUG, validation.slug, wall._id))) {
+      return res.status(409).json({ error: 'This slug is already taken', code: 'SLUG_TAKEN' });
     }
-    
-    Object.assign(wall, updateData);
+
+    applySlugChange(wall, WALL_SLUG, validation.slug);
     await wall.save();
-    
-    // Populate before returning
-    const populatedWall = await Wall.findById(wall._id)
-      .populate('user_id', 'name email rating location associations');
-    
-    const wallObj = populatedWall.toObject();
-    
-    // Add rating directly from populated user_id (profile) for easier frontend access
-    if (wallObj.user_id && wallObj.user_id.rating) {
-      wallObj.rating = wallObj.user_id.rating;
-    } else if (profile.rating) {
-      // Fallback to profile rating if populate didn't work
-      wallObj.rating = profile.rating;
-    }
-    
-    res.status(201).json(wallObj);
+
+    res.json({
+      message: 'Slug updated',
+      slug: wall.slug,
+      previous_slugs: wall.previous_slugs
+    });
   } catch (error) {
-    console.error('Update wall error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Update wall slug error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This slug is already taken', code: 'SLUG_TAKEN' });
+    }
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
 // @route   DELETE /api/walls/:id
 // @desc    Delete a wall
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorize('wall:delete'), async (req, res) => {
   try {
-    const profile = await Profile.findOne({ user_id: req.user.id });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    const wall = await Wall.findById(req.params.id);
-    if (!wall) {
-      return res.status(404).json({ error: 'Wall not found' });
-    }
-    
-    // Check if user owns the wall
-    if (wall.user_id.toString() !== profile._id.toString()) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const wall = req.resource;
     
     // Delete associated files from Cloudinary before deleting the wall
     try {
@@ -3275,6 +1097,10 @@ router.delete('/:id', protect, async (req, res) => {
     }
     
     await Wall.findByIdAndDelete(req.params.id);
+    await deleteWallMedia(wallMediaFiles(wall.draft || {}));
+    await deleteWallRevisions([wall._id]);
+    await WallView.deleteMany({ wall_id: wall._id });
+    await refreshProfileCompleteness(wall.user_id);
     res.json({ message: 'Wall deleted' });
   } catch (error) {
     console.error('Delete wall error:', error);
@@ -3284,9 +1110,13 @@ router.delete('/:id', protect, async (req, res) => {
 
 // @route   GET /api/walls/:id/projects
 // @desc    Get projects for a wall
-// @access  Public
-router.get('/:id/projects', async (req, res) => {
+// @access  Public for published walls (not to users the owner blocked); owner or admin otherwise
+router.get('/:id/projects', identify, async (req, res) => {
   try {
+    if (!(await findVisibleWall(req.params.id, req.user))) {
+      return res.status(404).json({ error: 'Wall not found' });
+    }
+
     const projects = await Project.find({ wall_id: req.params.id })
       .sort({ order_index: 1 });
     
@@ -3298,28 +1128,34 @@ router.get('/:id/projects', async (req, res) => {
 });
 
 // @route   GET /api/walls/user/:userId
-// @desc    Get all walls for a specific user
-// @access  Public
-router.get('/user/:userId', async (req, res) => {
+// @desc    Get all walls for a specific user (only published ones, except to the user and admins)
+// @access  Public (not to users the owner blocked)
+router.get('/user/:userId', identify, async (req, res) => {
   try {
     // Find the profile associated with the userId
     const profile = await Profile.findOne({ user_id: req.params.userId }).lean();
 
-    if (!profile) {
+    // Blocked viewers get the same answer as for a missing profile
+    if (!profile || (req.user && await hasBlocked(profile.user_id, req.user._id))) {
       return res.status(404).json({ error: 'Profile not found for this user.' });
     }
 
-    const walls = await Wall.find({ user_id: profile._id })
+    const query = { user_id: profile._id };
+    if (!seesUnpublishedWalls(profile.user_id, req.user)) {
+      query.published = true;
+    }
+
+    const walls = await Wall.find(query)
       .select('-__v') // Exclude version key
-      .populate('user_id', 'name email rating location associations')
+      .populate('user_id', 'name handle email rating review_stats trust_score location associations user_id privacy')
       .sort({ createdAt: -1 })
       .lean();
 
     // Add rating directly from populated user_id (profile) for easier frontend access
-    const wallsWithRating = walls.map(wall => ({
-      ...wall,
-      rating: (wall.user_id && wall.user_id.rating) ? wall.user_id.rating : profile.rating,
-    }));
+    const wallsWithRating = walls.map(wall => {
+      redactProfile(wall.user_id, req.user);
+      return { ...wall, rating: wall.user_id?.rating };
+    });
 
     res.json(wallsWithRating);
   } catch (error) {
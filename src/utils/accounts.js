@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import Profile from '../models/Profile.js';
+import Wall from '../models/Wall.js';
+import WallRevision from '../models/WallRevision.js';
+import WallView from '../models/WallView.js';
+import Project from '../models/Project.js';
+import TeamMember from '../models/TeamMember.js';
+import Bid from '../models/Bid.js';
+import Job from '../models/Job.js';
+import JobApplication from '../models/JobApplication.js';
+import Contract from '../models/Contract.js';
+import Deliverable from '../models/Deliverable.js';
+import Review from '../models/Review.js';
+import Association from '../models/Association.js';
+import Notification from '../models/Notification.js';
+import Organization from '../models/Organization.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import ApiKey from '../models/ApiKey.js';
+import AvailabilityBlock from '../models/AvailabilityBlock.js';
+import VerificationRequest from '../models/VerificationRequest.js';
+import { revokeUserSessions } from './sessions.js';
+import { deleteWallRevisions, wallMediaFiles } from './wallRevisions.js';
+import { deleteFromCloudinary, extractPublicIdFromUrl, isCloudinaryUrl } from './imageUtils.js';
+
+/**
+ * Collects everything stored about a user, for the personal data export
+ * @param {ObjectId|string} userId - User
+ * @returns {Promise<Object>} - Plain JSON-serializable bundle
+ */
+export async function buildAccountExport(userId) {
+  const user = await User.findById(userId).select('-password +blocked_users').lean();
+  const profile = await Profile.findOne({ user_id: userId }).select('+verification_history').lean();
+  // Verification decisions are exported without the deciding admin
+  if (profile) {
+    profile.verification_history = profile.verification_history?.map(({ decided_by, ...decision }) => decision);
+  }
+  const walls = profile ? await Wall.find({ user_id: profile._id }).select('+draft').lean() : [];
+  const wallIds = walls.map(wall => wall._id);
+
+  const [wallRevisions, projects, teamMembers, bids, jobApplications, contracts, deliverables, reviewsWritten, reviewsReceived, organizations, availability, verificationRequests] = await Promise.all([
+    WallRevision.find({ wall_id: { $in: wallIds } }).lean(),
+    Project.find({ wall_id: { $in: wallIds } }).lean(),
+    TeamMember.find({ wall_id: { $in: wallIds } }).lean(),
+    Bid.find({ bidder_id: userId }).lean(),
+    JobApplication.find({ applicant_id: userId }).lean(),
+    Contract.find({ $or: [{ client_id: userId }, { vendor_id: userId }] }).lean(),
+    Deliverable.find({ uploaded_by: userId }).lean(),
+    Review.find({ reviewer_id: userId }).lean(),
+    Review.find({ target_user_id: userId }).lean(),
+    Organization.find({ 'members.user_id': userId }).select('name members').lean(),
+    AvailabilityBlock.find({ user_id: userId }).lean(),
+    VerificationRequest.find({ submitted_by: userId }).select('-decided_by').lean()
+  ]);
+
+  return {
+    exported_at: new Date(),
+    user,
+    profile,
+    walls,
+    wall_revisions: wallRevisions,
+    projects,
+    team_members: teamMembers,
+    bids,
+    job_applications: jobApplications,
+    contracts,
+    deliverables,
+    reviews_written: reviewsWritten,
+    reviews_received: reviewsReceived,
+    availability,
+    verification_requests: verificationRequests,
+    organizations: organizations.map(org => ({
+      _id: org._id,
+      name: org.name,
+      role: org.members.find(m => m.user_id.toString() === userId.toString())?.role
+    }))
+  };
+}
+
+/**
+ * Lists what has to be resolved before an account can be deleted
+ * @param {ObjectId|string} userId - User
+ * @returns {Promise<string[]>} - Human-readable blockers (empty when deletion can proceed)
+ */
+export async function getAccountDeletionBlockers(userId) {
+  const blockers = [];
+
+  const activeContracts = await Contract.countDocuments({
+    $or: [{ client_id: userId }, { vendor_id: userId }],
+    status: { $in: ['active', 'disputed'] }
+  });
+  if (activeContracts > 0) {
+    blockers.push(`You have ${activeContracts} active or disputed contract(s); complete or terminate them first`);
+  }
+
+  // The last owner of an organization with other members has to hand it over first
+  const ownedOrganizations = await Organization.find({
+    members: { $elemMatch: { user_id: userId, role: 'owner' } }
+  });
+  for (const organization of ownedOrganizations) {
+    if (organization.countOwners() === 1 && organization.members.length > 1) {
+      blockers.push(`Make another member an owner of "${organization.name}" first`);
+    }
+  }
+
+  return blockers;
+}
+
+// Deletes a Cloudinary asset referenced by URL; failures are logged and ignored
+const deleteCloudinaryUrl = async (url, resourceType = 'image') => {
+  if (!url || !isCloudinaryUrl(url)) return;
+
+  try {
+    const publicId = extractPublicIdFromUrl(url);
+    if (publicId) {
+      await deleteFromCloudinary(publicId, resourceType);
+    }
+  } catch (error) {
+    console.error('Error deleting file from Cloudinary:', error);
+  }
+};
+
+/**
+ * Deletes an account. Personal content (profile, walls with their revisions and analytics, projects, team members, verification
+ * requests, pending bids and applications, notifications) is removed along with its Cloudinary files. Records other people
+ * depend on (contracts, deliverables, reviews, accepted bids) are kept, pointing at the User
+ * document, which stays behind with its email and credentials scrubbed.
+ * Sessions and API keys are revoked; the caller disconnects open sockets.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+export async function deleteAccount(user) {
+  const userId = user._id;
+  const redactedEmail = `deleted-${userId}@deleted.invalid`;
+
+  // Portfolio: walls, their projects and team members, and the profile itself
+  const profile = await Profile.findOne({ user_id: userId });
+  if (profile) {
+    const walls = await Wall.find({ user_id: profile._id }).select('+draft');
+    const wallIds = walls.map(wall => wall._id);
+    const [projects, teamMembers] = await Promise.all([
+      Project.find({ wall_id: { $in: wallIds } }),
+      TeamMember.find({ wall_id: { $in: wallIds } })
+    ]);
+
+    for (const wall of walls) {
+      await deleteCloudinaryUrl(wall.logo_url);
+      await deleteCloudinaryUrl(wall.hero_media_url, wall.hero_media_type === 'video' ? 'video' : 'image');
+      if (wall.showreel_type === 'upload') {
+        await deleteCloudinaryUrl(wall.showreel_url, 'video');
+      }
+      for (const file of wallMediaFiles(wall.draft || {})) {
+        await deleteCloudinaryUrl(file.url, file.resourceType);
+      }
+    }
+    for (const project of projects) {
+      await deleteCloudinaryUrl(project.media_url, project.media_type === 'video' ? 'video' : 'image');
+      if (project.showreel_type === 'upload') {
+        await deleteCloudinaryUrl(project.showreel_url, 'video');
+      }
+    }
+    for (const teamMember of teamMembers) {
+      await deleteCloudinaryUrl(teamMember.avatar_url);
+    }
+    await deleteCloudinaryUrl(profile.avatar_url);
+
+    // Verification documents are only kept while the studio has a profile
+    const verificationRequests = await VerificationRequest.find({ profile_id: profile._id });
+    for (const request of verificationRequests) {
+      for (const document of request.documents.filter(d => d.uploaded)) {
+        await deleteCloudinaryUrl(document.url);
+      }
+    }
+    await VerificationRequest.deleteMany({ profile_id: profile._id });
+
+    await Project.deleteMany({ wall_id: { $in: wallIds } });
+    await TeamMember.deleteMany({ wall_id: { $in: wallIds } });
+    await deleteWallRevisions(wallIds);
+    await WallView.deleteMany({ wall_id: { $in: wallIds } });
+    await Wall.deleteMany({ _id: { $in: wallIds } });
+    await Profile.deleteOne({ _id: profile._id });
+  }
+
+  // Open marketplace activity of the user's own (non-organization) account
+  await Bid.updateMany(
+    { bidder_id: userId, organization_id: null, status: { $in: ['pending', 'shortlisted'] } },
+    { status: 'withdrawn' }
+  );
+  await Job.updateMany(
+    { created_by: userId, organization_id: null, status: { $in: ['draft', 'open', 'under_review'] } },
+    { status: 'cancelled' }
+  );
+
+  // Pending applications are withdrawn; decided ones stay with the employer, minus contact details
+  await JobApplication.deleteMany({ applicant_id: userId, status: 'pending' });
+  await JobApplication.updateMany(
+    { applicant_id: userId },
+    { applicant_email: redactedEmail, applicant_phone: 'redacted', $unset: { cover_letter: '' } }
+  );
+
+  await Association.deleteMany({ $or: [{ requester: userId }, { recipient: userId }] });
+  await Notification.deleteMany({ recipient_id: userId });
+  await AvailabilityBlock.deleteMany({ user_id: userId });
+
+  // Organizations: leave all of them (blockers guarantee no organization is left without an owner)
+  await Organization.updateMany(
+    { 'members.user_id': userId },
+    { $pull: { members: { user_id: userId } } }
+  );
+  await OrganizationInvitation.updateMany(
+    { email: user.email.toLowerCase(), status: 'pending' },
+    { status: 'revoked', responded_at: new Date() }
+  );
+
+  await ApiKey.updateMany({ user_id: userId, revoked_at: null }, { revoked_at: new Date(), revoked_by: userId });
+  await revokeUserSessions(userId, 'account_deleted');
+
+  // Keep the document as an anonymized placeholder; nothing left on it can sign in
+  await User.updateOne({ _id: userId }, {
+    email: redactedEmail,
+    password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+    email_verified: false,
+    two_factor_enabled: false,
+    deleted_at: new Date(),
+    $unset: {
+      email_verified_at: '',
+      email_verification_token_hash: '',
+      email_verification_expires: '',
+      email_verification_sent_at: '',
+      two_factor_enabled_at: '',
+      two_factor_secret: '',
+      two_factor_pending_secret: '',
+      two_factor_recovery_codes: '',
+      two_factor_last_step: '',
+      password_reset_token_hash: '',
+      password_reset_expires: '',
+      blocked_users: ''
+    }
+  });
+  await User.updateMany({ blocked_users: userId }, { $pull: { blocked_users: userId } });
+}
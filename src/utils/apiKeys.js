@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { hashToken } from './sessions.js';
+import { isOrganizationMember } from './organizations.js';
+
+// Every key starts with this, so `protect` can tell keys and JWTs apart
+export const API_KEY_PREFIX = 'pxk_';
+
+const MAX_EXPIRY_DAYS = 365;
+
+// last_used_at is refreshed at most this often, so busy scripts don't write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Tells whether a bearer credential is an API key rather than a JWT
+ * @param {string} token - Credential from the Authorization header
+ * @returns {boolean}
+ */
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Validates the body of a create-key request
+ * @param {Object} body - { name, scopes, expires_in_days }
+ * @returns {{ error: string } | { name: string, scopes: string[], expiresAt: Date|undefined }}
+ */
+export function parseApiKeyInput({ name, scopes, expires_in_days }) {
+  if (!name || !name.trim()) {
+    return { error: 'Key name is required' };
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: `Select at least one scope: ${API_KEY_SCOPES.join(', ')}` };
+  }
+
+  const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    return { error: `Unknown scopes: ${unknownScopes.join(', ')}` };
+  }
+
+  let expiresAt;
+  if (expires_in_days !== undefined && expires_in_days !== null) {
+    const days = Number(expires_in_days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return { error: `expires_in_days must be a whole number between 1 and ${MAX_EXPIRY_DAYS}` };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  return { name: name.trim(), scopes, expiresAt };
+}
+
+/**
+ * Shapes a key for API responses (never includes the hash)
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object}
+ */
+export function formatApiKey(apiKey) {
+  return {
+    _id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    organization_id: apiKey.organization_id,
+    created_by: apiKey.user_id,
+    last_used_at: apiKey.last_used_at,
+    last_used_ip: apiKey.last_used_ip,
+    expires_at: apiKey.expires_at,
+    revoked_at: apiKey.revoked_at,
+    createdAt: apiKey.createdAt
+  };
+}
+
+/**
+ * Creates an API key and returns the raw key to show once (only its hash is stored)
+ * @param {Object} user - Creating user (a personal key acts as this user; an organization key acts
+ *   for the organization, see config/policies.js)
+ * @param {Object} options
+ * @param {string} options.name - Label, e.g. "Render farm hook"
+ * @param {string[]} options.scopes - Granted scopes (see API_KEY_SCOPES)
+ * @param {ObjectId|string} [options.organizationId] - Organization the key belongs to
+ * @param {Date} [options.expiresAt] - Optional expiry
+ * @returns {Promise<{ apiKey: Object, key: string }>}
+ */
+export async function createApiKey(user, { name, scopes, organizationId, expiresAt }) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    user_id: user._id,
+    organization_id: organizationId || undefined,
+    scopes: [...new Set(scopes)],
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    key_hash: hashToken(key),
+    expires_at: expiresAt
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Finds the active key matching a raw API key.
+ * Organization keys stop working once their creator leaves the organization.
+ * @param {string} key - Raw key from the Authorization header
+ * @returns {Promise<Object|null>} - ApiKey document, or null if unknown/revoked/expired
+ */
+export async function findActiveApiKey(key) {
+  const apiKey = await ApiKey.findOne({ key_hash: hashToken(key) });
+
+  if (!apiKey || !apiKey.isActive()) {
+    return null;
+  }
+
+  if (apiKey.organization_id && !(await isOrganizationMember(apiKey.organization_id, apiKey.user_id))) {
+    return null;
+  }
+
+  return apiKey;
+}
+
+/**
+ * Records that a key was used (throttled to LAST_USED_RESOLUTION_MS)
+ * @param {Object} apiKey - ApiKey document
+ * @param {string} ip - Client IP
+ * @returns {Promise<void>}
+ */
+export async function touchApiKey(apiKey, ip) {
+  if (apiKey.last_used_at && Date.now() - apiKey.last_used_at.getTime() < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+
+  await ApiKey.updateOne({ _id: apiKey._id }, { last_used_at: new Date(), last_used_ip: ip });
+}
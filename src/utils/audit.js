@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import AuditEvent from '../models/AuditEvent.js';
+
+// Normalizes ObjectIds, populated documents and Dates so snapshots compare and store cleanly
+const serialize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value._id instanceof mongoose.Types.ObjectId) return value._id.toString();
+  return value;
+};
+
+/**
+ * Builds a { field: { from, to } } diff of the fields that differ between two snapshots
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object}
+ */
+export function diffFields(before = {}, after = {}) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    const from = serialize(before[field]);
+    const to = serialize(after[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Records who did what to which record, from where
+ * While an admin impersonates a user, the admin is the actor and the user is recorded alongside
+ * Failures are logged and swallowed so an audit problem never breaks the calling request
+ * @param {import('express').Request} req - Current request (actor, IP, credential)
+ * @param {Object} options
+ * @param {string} options.action - Dotted action name, e.g. 'contract.status_changed'
+ * @param {string} options.targetType - Target record type (see AuditEvent model enum)
+ * @param {ObjectId|string} options.targetId - Target record ID
+ * @param {Object} [options.before] - Relevant fields before the change
+ * @param {Object} [options.after] - The same fields after the change
+ * @param {Object} [options.metadata] - Related records or context
+ * @returns {Promise<Object|null>} - The saved event, or null on failure
+ */
+export async function recordAuditEvent(req, { action, targetType, targetId, before, after, metadata }) {
+  try {
+    const actor = req.impersonator || req.user;
+
+    return await AuditEvent.create({
+      action,
+      actor_id: actor?._id,
+      actor_roles: actor?.roles,
+      impersonated_user_id: req.impersonator ? req.user._id : undefined,
+      session_id: req.session?._id,
+      api_key_id: req.apiKey?._id,
+      ip: req.ip,
+      user_agent: req.get('user-agent'),
+      target_type: targetType,
+      target_id: targetId,
+      changes: diffFields(before, after),
+      metadata
+    });
+  } catch (error) {
+    console.error('Error recording audit event:', error);
+    return null;
+  }
+}
@@ -0,0 +1,131 @@
+import AvailabilityBlock from '../models/AvailabilityBlock.js';
+import Contract from '../models/Contract.js';
+
+// Contract statuses that keep the vendor booked
+export const BOOKING_CONTRACT_STATUSES = ['active', 'disputed'];
+
+// Block statuses that make a schedule conflict
+const UNAVAILABLE_STATUSES = ['tentative', 'booked'];
+
+// Query condition for records whose [start_date, end_date] range overlaps [start, end]
+const overlaps = (start, end) => ({
+  start_date: { $lte: end },
+  end_date: { $gte: start }
+});
+
+/**
+ * Returns a user's calendar between two dates: their own blocks plus a 'booked' block for every
+ * active contract they deliver on
+ * @param {ObjectId|string} userId - Calendar owner
+ * @param {Object} range
+ * @param {Date} range.from - Range start
+ * @param {Date} range.to - Range end
+ * @param {boolean} [range.includeNotes] - Include private notes (owner only)
+ * @returns {Promise<Object[]>} - Blocks sorted by start date ({ source: 'manual'|'contract', ... })
+ */
+export async function getAvailability(userId, { from, to, includeNotes = false }) {
+  const blockQuery = AvailabilityBlock.find({ user_id: userId, ...overlaps(from, to) }).lean();
+  if (!includeNotes) {
+    blockQuery.select('-note');
+  }
+
+  const [blocks, contracts] = await Promise.all([
+    blockQuery,
+    Contract.find({ vendor_id: userId, status: { $in: BOOKING_CONTRACT_STATUSES }, ...overlaps(from, to) })
+      .select('start_date end_date')
+      .lean()
+  ]);
+
+  return [
+    ...blocks.map(block => ({ ...block, source: 'manual' })),
+    ...contracts.map(contract => ({
+      source: 'contract',
+      status: 'booked',
+      start_date: contract.start_date,
+      end_date: contract.end_date,
+      contract_id: contract._id
+    }))
+  ].sort((a, b) => a.start_date - b.start_date);
+}
+
+/**
+ * What other users see of a calendar: when its owner is free or busy, not why (no block IDs,
+ * sources or contract IDs)
+ * @param {Object[]} blocks - From getAvailability
+ * @returns {{ start_date: Date, end_date: Date, status: string }[]}
+ */
+export function publicAvailability(blocks) {
+  return blocks.map(({ start_date, end_date, status }) => ({ start_date, end_date, status }));
+}
+
+/**
+ * Finds bookings and tentative holds of a user that overlap a date range
+ * @param {ObjectId|string} userId - Vendor
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Promise<Object[]>} - Overlapping blocks, as other users see them (publicAvailability)
+ */
+export async function findScheduleConflicts(userId, start, end) {
+  const calendar = await getAvailability(userId, { from: start, to: end });
+  return publicAvailability(calendar.filter(block => UNAVAILABLE_STATUSES.includes(block.status)));
+}
+
+/**
+ * Aggregation stages that drop users booked at any point in [start, end] (a manual 'booked'
+ * block or an active contract). Expects `user_id` on the documents.
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Object[]}
+ */
+export function excludeBookedStages(start, end) {
+  const overlapExpr = [
+    { $lte: ['$start_date', end] },
+    { $gte: ['$end_date', start] }
+  ];
+
+  return [
+    { $lookup: {
+        from: AvailabilityBlock.collection.name,
+        let: { userId: '$user_id' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$user_id', '$$userId'] }, { $eq: ['$status', 'booked'] }, ...overlapExpr] } } },
+          { $limit: 1 }
+        ],
+        as: 'booked_blocks'
+    }},
+    { $lookup: {
+        from: Contract.collection.name,
+        let: { userId: '$user_id' },
+        pipeline: [
+          { $match: { $expr: { $and: [
+            { $eq: ['$vendor_id', '$$userId'] },
+            { $in: ['$status', BOOKING_CONTRACT_STATUSES] },
+            ...overlapExpr
+          ] } } },
+          { $limit: 1 }
+        ],
+        as: 'booked_contracts'
+    }},
+    { $match: { booked_blocks: { $size: 0 }, booked_contracts: { $size: 0 } } },
+    { $project: { booked_blocks: 0, booked_contracts: 0 } }
+  ];
+}
+
+/**
+ * Parses a from/to query pair (defaults: today and 90 days later)
+ * @param {Object} query - { from, to }
+ * @returns {{ error: string }|{ from: Date, to: Date }}
+ */
+export function parseDateRange({ from, to }) {
+  const start = from ? new Date(from) : new Date();
+  const end = to ? new Date(to) : new Date(start.getTime() + 90 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (end < start) {
+    return { error: 'to must be on or after from' };
+  }
+
+  return { from: start, to: end };
+}
@@ -0,0 +1,38 @@
+import User from '../models/User.js';
+
+/**
+ * Checks whether a user has blocked another
+ * @param {ObjectId|string} blockerId - User who may have blocked
+ * @param {ObjectId|string} userId - User who may be blocked
+ * @returns {Promise<boolean>}
+ */
+export async function hasBlocked(blockerId, userId) {
+  if (!blockerId || !userId) {
+    return false;
+  }
+  return Boolean(await User.exists({ _id: blockerId, blocked_users: userId }));
+}
+
+/**
+ * Checks whether either of two users has blocked the other
+ * @param {ObjectId|string} userId - User
+ * @param {ObjectId|string} otherUserId - User
+ * @returns {Promise<boolean>}
+ */
+export async function isBlockedEitherWay(userId, otherUserId) {
+  return Boolean(await User.exists({
+    $or: [
+      { _id: userId, blocked_users: otherUserId },
+      { _id: otherUserId, blocked_users: userId }
+    ]
+  }));
+}
+
+/**
+ * Users who have blocked a user (for filtering lists)
+ * @param {ObjectId|string} userId - User
+ * @returns {Promise<ObjectId[]>}
+ */
+export async function getBlockerIds(userId) {
+  return User.find({ blocked_users: userId }).distinct('_id');
+}
@@ -0,0 +1,100 @@
+import Profile from '../models/Profile.js';
+import User from '../models/User.js';
+import Wall from '../models/Wall.js';
+import Project from '../models/Project.js';
+import TeamMember from '../models/TeamMember.js';
+
+// Onboarding checklist. `weight` is the step's share of the score; `roles` limits a step to
+// those roles (the score is relative to the steps that apply). `done` receives
+// { profile, wall, projectCount, teamMemberCount }.
+export const COMPLETENESS_STEPS = [
+  { key: 'avatar', label: 'Add a profile picture', weight: 10, done: ({ profile }) => Boolean(profile.avatar_url) },
+  { key: 'bio', label: 'Write a bio of at least 50 characters', weight: 10, done: ({ profile }) => (profile.bio || '').trim().length >= 50 },
+  { key: 'location', label: 'Add your location', weight: 5, done: ({ profile }) => Boolean(profile.location?.trim()) },
+  { key: 'skills', label: 'List your skills', weight: 10, done: ({ profile }) => profile.skills?.length > 0 },
+  { key: 'disciplines', label: 'Pick your disciplines', weight: 5, done: ({ profile }) => profile.disciplines?.length > 0 },
+  { key: 'software', label: 'List the software you use', weight: 5, roles: ['artist'], done: ({ profile }) => profile.software?.length > 0 },
+  { key: 'day_rate', label: 'Set your day rate', weight: 5, roles: ['artist'], done: ({ profile }) => profile.day_rate?.amount > 0 },
+  { key: 'wall', label: 'Create your wall', weight: 15, done: ({ wall }) => Boolean(wall) },
+  { key: 'projects', label: 'Add a project to your wall', weight: 15, done: ({ projectCount }) => projectCount > 0 },
+  { key: 'team', label: 'Add your team to your wall', weight: 10, roles: ['studio'], done: ({ teamMemberCount }) => teamMemberCount > 0 },
+  { key: 'verified', label: 'Get your profile verified', weight: 15, done: ({ profile }) => profile.verification_status === 'approved' }
+];
+
+/**
+ * Scores a profile against the onboarding checklist
+ * @param {Object} context
+ * @param {Object} context.profile - Profile
+ * @param {string[]} context.roles - Roles of the profile's user
+ * @param {Object|null} context.wall - The profile's wall
+ * @param {number} context.projectCount - Projects on the wall
+ * @param {number} context.teamMemberCount - Team members on the wall
+ * @returns {{ score: number, checklist: Object[], missing: string[] }} - Score from 0 to 100
+ */
+export function scoreCompleteness(context) {
+  const steps = COMPLETENESS_STEPS.filter(step => !step.roles || step.roles.some(role => context.roles.includes(role)));
+
+  const checklist = steps.map(step => ({ key: step.key, label: step.label, done: step.done(context) }));
+  const total = steps.reduce((sum, step) => sum + step.weight, 0);
+  const earned = steps.reduce((sum, step, i) => sum + (checklist[i].done ? step.weight : 0), 0);
+
+  return {
+    score: Math.round((earned / total) * 100),
+    checklist,
+    missing: checklist.filter(item => !item.done).map(item => item.key)
+  };
+}
+
+/**
+ * Recomputes a profile's completeness and stores the score (used by discovery and search)
+ * Failures are logged and swallowed so a scoring problem never breaks the calling request
+ * @param {ObjectId|string} profileId - Profile
+ * @returns {Promise<{ score: number, checklist: Object[], missing: string[] }|null>}
+ */
+export async function refreshProfileCompleteness(profileId) {
+  try {
+    const profile = await Profile.findById(profileId).lean();
+    if (!profile) {
+      return null;
+    }
+
+    const [user, wall] = await Promise.all([
+      User.findById(profile.user_id).select('roles').lean(),
+      Wall.findOne({ user_id: profile._id }).select('_id').lean()
+    ]);
+    const [projectCount, teamMemberCount] = wall
+      ? await Promise.all([
+        Project.countDocuments({ wall_id: wall._id }),
+        TeamMember.countDocuments({ wall_id: wall._id })
+      ])
+      : [0, 0];
+
+    const result = scoreCompleteness({ profile, roles: user?.roles || [], wall, projectCount, teamMemberCount });
+
+    // Not a profile edit, so updatedAt (the "recent" sort) stays as is
+    if (profile.completeness_score !== result.score) {
+      await Profile.updateOne({ _id: profile._id }, { completeness_score: result.score }, { timestamps: false });
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error refreshing profile completeness:', error);
+    return null;
+  }
+}
+
+/**
+ * Recomputes the completeness of the profile owning a wall (after project or team changes)
+ * @param {ObjectId|string} wallId - Wall
+ * @returns {Promise<void>}
+ */
+export async function refreshWallOwnerCompleteness(wallId) {
+  try {
+    const wall = await Wall.findById(wallId).select('user_id').lean();
+    if (wall) {
+      await refreshProfileCompleteness(wall.user_id);
+    }
+  } catch (error) {
+    console.error('Error refreshing profile completeness:', error);
+  }
+}
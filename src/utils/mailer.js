@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Local dev outbox (MAIL_TRANSPORT=file)
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.resolve(__dirname, '../../outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'Pikxora <no-reply@pikxora.com>';
+
+// Built-in transports. Each one receives { from, to, subject, text, html }.
+const transports = {
+  // Prints the message to the server log
+  console: {
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { transport: 'console' };
+    }
+  },
+  // Writes each message as a JSON file into the outbox directory
+  file: {
+    async send(message) {
+      await fs.mkdir(OUTBOX_DIR, { recursive: true });
+      const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+      const filePath = path.join(OUTBOX_DIR, fileName);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, created_at: new Date() }, null, 2));
+      return { transport: 'file', path: filePath };
+    }
+  }
+};
+
+let activeTransport = transports[process.env.MAIL_TRANSPORT] || transports.console;
+
+/**
+ * Replaces the mail transport (e.g. with an SMTP or email API client in production)
+ * @param {{ send: (message: Object) => Promise<Object> }} transport - Object with an async send(message)
+ */
+export function setMailTransport(transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+}
+
+/**
+ * Sends an email through the active transport
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<Object>} - Transport result
+ */
+export async function sendMail({ to, subject, text, html }) {
+  return activeTransport.send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+/**
+ * Builds a link into the frontend app
+ * @param {string} pathname - Path, e.g. '/reset-password'
+ * @param {Object} [params] - Query parameters
+ * @returns {string}
+ */
+export function frontendUrl(pathname, params = {}) {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:8080');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
@@ -0,0 +1,56 @@
+import Notification from '../models/Notification.js';
+
+/**
+ * Stores a notification and pushes it to the recipient's Socket.IO room
+ * Failures are logged and swallowed so a notification problem never breaks the calling request
+ * @param {import('express').Request} req - Current request (used to reach the io instance)
+ * @param {Object} options
+ * @param {string} options.recipient - User ID of the recipient
+ * @param {string} options.type - Notification type (see Notification model enum)
+ * @param {string} options.title - Short headline
+ * @param {string} [options.message] - Longer description
+ * @param {string} [options.entity_type] - Related entity type (e.g. 'contract')
+ * @param {string} [options.entity_id] - Related entity ID
+ * @param {Object} [options.data] - Extra payload for the client
+ * @returns {Promise<Object|null>} - The saved notification, or null on failure
+ */
+export async function notifyUser(req, { recipient, type, title, message, entity_type, entity_id, data }) {
+  try {
+    if (!recipient) {
+      return null;
+    }
+
+    const actorId = req.user?._id;
+
+    // Don't notify users about their own actions
+    if (actorId && actorId.toString() === recipient.toString()) {
+      return null;
+    }
+
+    const notification = await Notification.create({
+      recipient_id: recipient,
+      actor_id: actorId,
+      type,
+      title,
+      message,
+      entity_type,
+      entity_id,
+      data
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      const unreadCount = await Notification.countDocuments({ recipient_id: recipient, read: false });
+      io.to(recipient.toString()).emit('notification', {
+        notification: notification.toObject(),
+        unread_count: unreadCount
+      });
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Error creating notification:', error);
+    // Don't throw - this is a background operation
+    return null;
+  }
+}
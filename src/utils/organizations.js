@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import Organization, { ORGANIZATION_ROLES } from '../models/Organization.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import { hashToken } from './sessions.js';
+
+// Member roles that can create and manage the organization's movies, jobs, bids and contracts
+export const ORGANIZATION_MANAGER_ROLES = ['owner', 'producer'];
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Checks whether a user holds one of the given roles in an organization
+ * @param {ObjectId|string} organizationId - Organization (may be empty)
+ * @param {ObjectId|string} userId - User
+ * @param {string[]} [roles] - Accepted member roles (default: any)
+ * @returns {Promise<boolean>}
+ */
+export async function isOrganizationMember(organizationId, userId, roles = ORGANIZATION_ROLES) {
+  if (!organizationId) return false;
+
+  const organization = await Organization.exists({
+    _id: organizationId._id || organizationId,
+    members: { $elemMatch: { user_id: userId, role: { $in: roles } } }
+  });
+  return Boolean(organization);
+}
+
+/**
+ * Lists the organizations a user belongs to
+ * @param {ObjectId|string} userId - User
+ * @param {string[]} [roles] - Only organizations where the user has one of these roles
+ * @returns {Promise<ObjectId[]>}
+ */
+export async function getUserOrganizationIds(userId, roles = ORGANIZATION_ROLES) {
+  const organizations = await Organization.find({
+    members: { $elemMatch: { user_id: userId, role: { $in: roles } } }
+  }).select('_id').lean();
+  return organizations.map(org => org._id);
+}
+
+/**
+ * Picks the organization a new movie, job or bid is created for.
+ * An explicit `organization_id` must be one the user manages; without it, the user's only
+ * managed organization is used. Users without an organization act on their own.
+ * @param {ObjectId|string} userId - Acting user
+ * @param {string} [requestedId] - organization_id from the request body
+ * @returns {Promise<{ organizationId: ObjectId|null } | { error: string, status: number }>}
+ */
+export async function resolveActingOrganization(userId, requestedId) {
+  const managedIds = await getUserOrganizationIds(userId, ORGANIZATION_MANAGER_ROLES);
+
+  if (requestedId) {
+    const organizationId = managedIds.find(id => id.toString() === requestedId.toString());
+    if (!organizationId) {
+      return { error: 'You are not an owner or producer of this organization', status: 403 };
+    }
+    return { organizationId };
+  }
+
+  if (managedIds.length > 1) {
+    return { error: 'organization_id is required when you manage several organizations', status: 400 };
+  }
+
+  return { organizationId: managedIds[0] || null };
+}
+
+/**
+ * Creates an organization with the user as its first owner
+ * @param {Object} user - Creating user
+ * @param {string} name - Organization name
+ * @returns {Promise<Object>} - Organization document
+ */
+export async function createOrganization(user, name) {
+  return Organization.create({
+    name: name || user.email,
+    created_by: user._id,
+    members: [{ user_id: user._id, role: 'owner' }]
+  });
+}
+
+/**
+ * Creates an invitation and returns the raw token to email (only its hash is stored)
+ * @param {Object} organization - Organization document
+ * @param {Object} options
+ * @param {string} options.email - Invitee email
+ * @param {string} options.role - Member role to grant
+ * @param {ObjectId|string} options.invitedBy - Inviting user
+ * @returns {Promise<{ invitation: Object, token: string }>}
+ */
+export async function createInvitation(organization, { email, role, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // A newer invitation replaces any pending one for the same address
+  await OrganizationInvitation.updateMany(
+    { organization_id: organization._id, email: email.toLowerCase(), status: 'pending' },
+    { status: 'revoked', responded_at: new Date() }
+  );
+
+  const invitation = await OrganizationInvitation.create({
+    organization_id: organization._id,
+    email,
+    role,
+    invited_by: invitedBy,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + INVITATION_TTL_MS)
+  });
+
+  return { invitation, token };
+}
+
+/**
+ * Finds a pending, unexpired invitation by its raw token
+ * @param {string} token - Token from the invitation email
+ * @returns {Promise<Object|null>}
+ */
+export async function findPendingInvitation(token) {
+  if (!token) return null;
+
+  const invitation = await OrganizationInvitation.findOne({ token_hash: hashToken(token) });
+  return invitation && invitation.isPending() ? invitation : null;
+}
+
+/**
+ * Adds the user to the invitation's organization and marks the invitation accepted.
+ * Existing members keep their current role.
+ * @param {Object} invitation - Pending invitation document
+ * @param {Object} user - Accepting user (email must match the invitation)
+ * @returns {Promise<Object>} - Organization document
+ */
+export async function acceptInvitation(invitation, user) {
+  const organization = await Organization.findById(invitation.organization_id);
+  if (!organization) {
+    return null;
+  }
+
+  if (!organization.getMemberRole(user._id)) {
+    organization.members.push({
+      user_id: user._id,
+      role: invitation.role,
+      invited_by: invitation.invited_by
+    });
+    await organization.save();
+  }
+
+  invitation.status = 'accepted';
+  invitation.accepted_by = user._id;
+  invitation.responded_at = new Date();
+  await invitation.save();
+
+  return organization;
+}
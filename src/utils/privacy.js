@@ -0,0 +1,83 @@
+import Profile from '../models/Profile.js';
+import { rules } from '../config/policies.js';
+
+// Profile privacy settings and the profile fields each one controls
+export const PRIVACY_SETTINGS = {
+  show_email: ['email'],
+  show_location: ['location'],
+  show_rating: ['rating', 'trust_score', 'review_stats']
+};
+
+// Same defaults as Profile.privacy, for lean documents saved before the settings existed
+const DEFAULT_PRIVACY = { show_email: false, show_location: true, show_rating: true };
+
+// Profile fields redactProfile needs next to the ones being shown
+export const PRIVACY_FIELDS = 'user_id privacy';
+
+const idOf = (value) => String(value?._id ?? value);
+
+// The owner and admins (once enrolled in 2FA, see rules.admin) always see everything
+const seesEverything = (viewer, userId) => {
+  return Boolean(viewer) && (idOf(viewer._id) === idOf(userId) || rules.admin({ user: viewer }));
+};
+
+/**
+ * Removes the fields a profile's owner has hidden from other viewers, and the privacy settings
+ * themselves. Modifies the object in place.
+ * @param {Object} profile - Plain profile object (or a populated ref) with user_id and privacy
+ * @param {Object} [viewer] - req.user
+ * @returns {Object} - The same profile
+ */
+export function redactProfile(profile, viewer) {
+  if (!profile || typeof profile !== 'object' || seesEverything(viewer, profile.user_id)) {
+    return profile;
+  }
+
+  const privacy = { ...DEFAULT_PRIVACY, ...profile.privacy };
+  for (const [setting, fields] of Object.entries(PRIVACY_SETTINGS)) {
+    if (!privacy[setting]) {
+      fields.forEach(field => delete profile[field]);
+    }
+  }
+  delete profile.privacy;
+
+  return profile;
+}
+
+/**
+ * Removes the email from populated users who don't show it on their profile
+ * @param {Object|Object[]} records - Documents or plain objects with populated User refs
+ * @param {string[]} paths - Populated paths, single refs or arrays (e.g. ['created_by', 'assigned_to'])
+ * @param {Object} [viewer] - req.user
+ * @returns {Promise<void>}
+ */
+export async function redactUserEmails(records, paths, viewer) {
+  const users = [records].flat()
+    .filter(Boolean)
+    .flatMap(record => paths.flatMap(path => record[path]))
+    .filter(user => user?.email && !seesEverything(viewer, user._id));
+
+  if (users.length === 0) {
+    return;
+  }
+
+  const shown = await Profile.find({ user_id: { $in: users.map(user => user._id) }, 'privacy.show_email': true })
+    .distinct('user_id');
+  const shownIds = new Set(shown.map(String));
+
+  for (const user of users) {
+    if (!shownIds.has(idOf(user._id))) {
+      user.email = undefined;
+    }
+  }
+}
+
+/**
+ * Name to show for a user in text other people read (e.g. notification messages), never their email
+ * @param {ObjectId} userId - User
+ * @returns {Promise<string>} - Their profile name, or 'A creator' when they have no profile
+ */
+export async function displayName(userId) {
+  const profile = await Profile.findOne({ user_id: userId }).select('name').lean();
+  return profile?.name || 'A creator';
+}
@@ -0,0 +1,249 @@
+import mongoose from 'mongoose';
+import Profile from '../models/Profile.js';
+import { excludeBookedStages, parseDateRange } from './availability.js';
+
+export const SEARCH_SORTS = ['relevance', 'rating', 'recent'];
+
+// Tag facets returned with every search, with how many values of each are listed
+const TAG_FACETS = ['skills', 'software', 'disciplines', 'languages'];
+const FACET_SIZE = 20;
+
+const MAX_LIMIT = 50;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "Houdini, nuke" -> case-insensitive exact matchers
+const parseTagList = (value) => {
+  if (!value) return [];
+  return String(value)
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean)
+    .map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i'));
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * Encodes the position after the last result of a page
+ * @param {Object} row - Last result (with sort_value and _id)
+ * @returns {string}
+ */
+function encodeCursor(row) {
+  const isDate = row.sort_value instanceof Date;
+  const payload = {
+    v: isDate ? row.sort_value.toISOString() : row.sort_value,
+    d: isDate,
+    id: row._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor from a previous page
+ * @param {string} cursor - Opaque cursor
+ * @returns {{ value: *, id: ObjectId }|null} - null when malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!mongoose.isValidObjectId(id)) return null;
+    return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Searches approved artist and studio profiles.
+ * Tags match case-insensitively; several values in one facet match any of them, different
+ * facets must all match. Facet counts cover every match, not just the current page.
+ * @param {Object} params - Query string parameters
+ * @param {string} [params.q] - Text query (name, skills, software, location, bio)
+ * @param {string} [params.role] - 'artist' or 'studio'
+ * @param {string} [params.skills] - Comma-separated
+ * @param {string} [params.software] - Comma-separated
+ * @param {string} [params.disciplines] - Comma-separated
+ * @param {string} [params.languages] - Comma-separated
+ * @param {string} [params.location] - Substring of the location
+ * @param {number} [params.min_experience] - Minimum years of experience
+ * @param {number} [params.max_experience] - Maximum years of experience
+ * @param {number} [params.max_day_rate] - Maximum day rate (in `currency`)
+ * @param {string} [params.currency] - Day rate currency
+ * @param {number} [params.min_completeness] - Minimum profile completeness score (0-100)
+ * @param {string} [params.available_from] - Only profiles not booked from this date...
+ * @param {string} [params.available_to] - ...until this date (defaults to 90 days later)
+ * @param {string} [params.sort] - 'relevance' (default with q), 'rating' or 'recent' (default)
+ * @param {string} [params.cursor] - next_cursor from the previous page
+ * @param {number} [params.limit] - Page size (default 20, max 50)
+ * @param {Object} [options]
+ * @param {ObjectId[]} [options.excludeUserIds] - Users left out of the results (e.g. who blocked the searcher)
+ * @returns {Promise<{ error: string }|{ results: Object[], facets: Object, total: number, next_cursor: string|null }>}
+ */
+export async function searchProfiles(params, { excludeUserIds = [] } = {}) {
+  const q = params.q?.trim();
+  const sort = params.sort || (q ? 'relevance' : 'recent');
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), MAX_LIMIT);
+
+  if (!SEARCH_SORTS.includes(sort)) {
+    return { error: `sort must be one of: ${SEARCH_SORTS.join(', ')}` };
+  }
+  if (sort === 'relevance' && !q) {
+    return { error: 'Relevance sorting needs a search query (q)' };
+  }
+  if (params.role && !['artist', 'studio'].includes(params.role)) {
+    return { error: 'role must be artist or studio' };
+  }
+
+  const match = { verification_status: 'approved' };
+
+  if (excludeUserIds.length > 0) {
+    match.user_id = { $nin: excludeUserIds };
+  }
+
+  if (q) {
+    match.$text = { $search: q };
+  }
+
+  for (const facet of TAG_FACETS) {
+    const tags = parseTagList(params[facet]);
+    if (tags.length > 0) {
+      match[facet] = { $in: tags };
+    }
+  }
+
+  if (params.location) {
+    match.location = { $regex: escapeRegex(String(params.location).trim()), $options: 'i' };
+    // Hidden locations can't be searched either
+    match['privacy.show_location'] = { $ne: false };
+  }
+
+  const minExperience = parseNumber(params.min_experience);
+  const maxExperience = parseNumber(params.max_experience);
+  const maxDayRate = parseNumber(params.max_day_rate);
+  const minCompleteness = parseNumber(params.min_completeness);
+  if ([minExperience, maxExperience, maxDayRate, minCompleteness].some(Number.isNaN)) {
+    return { error: 'min_experience, max_experience, max_day_rate and min_completeness must be numbers' };
+  }
+
+  if (minExperience !== undefined || maxExperience !== undefined) {
+    match.experience_years = {};
+    if (minExperience !== undefined) match.experience_years.$gte = minExperience;
+    if (maxExperience !== undefined) match.experience_years.$lte = maxExperience;
+  }
+  if (minCompleteness !== undefined) {
+    match.completeness_score = { $gte: minCompleteness };
+  }
+  if (maxDayRate !== undefined) {
+    match['day_rate.amount'] = { $lte: maxDayRate };
+    if (params.currency) match['day_rate.currency'] = String(params.currency).toUpperCase();
+  }
+
+  let availability = null;
+  if (params.available_from || params.available_to) {
+    availability = parseDateRange({ from: params.available_from, to: params.available_to });
+    if (availability.error) {
+      return { error: availability.error };
+    }
+  }
+
+  let cursorMatch = null;
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    cursorMatch = {
+      $or: [
+        { sort_value: { $lt: cursor.value } },
+        { sort_value: cursor.value, _id: { $lt: cursor.id } }
+      ]
+    };
+  }
+
+  // Rating sorts by the Bayesian review score; unreviewed profiles sort last, and so do profiles
+  // hiding their rating, whose place in the order would give it away
+  const sortValue = {
+    relevance: { $meta: 'textScore' },
+    rating: {
+      $cond: [
+        { $eq: ['$privacy.show_rating', false] },
+        0,
+        { $ifNull: ['$review_stats.bayesian_score', 0] }
+      ]
+    },
+    recent: '$updatedAt'
+  }[sort];
+
+  const pipeline = [
+    { $match: match },
+    { $lookup: { from: 'users', localField: 'user_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    { $match: { 'user.roles': params.role ? params.role : { $in: ['artist', 'studio'] } } },
+    ...(availability ? excludeBookedStages(availability.from, availability.to) : []),
+    { $addFields: {
+        role: params.role || { $arrayElemAt: [{ $setIntersection: ['$user.roles', ['artist', 'studio']] }, 0] },
+        sort_value: sortValue
+    }},
+    { $facet: {
+        results: [
+          ...(cursorMatch ? [{ $match: cursorMatch }] : []),
+          { $sort: { sort_value: -1, _id: -1 } },
+          { $limit: limit + 1 },
+          { $project: {
+              name: 1,
+              role: 1,
+              location: 1,
+              avatar_url: 1,
+              bio: 1,
+              rating: 1,
+              trust_score: 1,
+              review_stats: 1,
+              skills: 1,
+              software: 1,
+              disciplines: 1,
+              languages: 1,
+              experience_years: 1,
+              day_rate: 1,
+              verification_status: 1,
+              completeness_score: 1,
+              user_id: 1,
+              privacy: 1,
+              sort_value: 1
+          }}
+        ],
+        total: [{ $count: 'count' }],
+        role: [
+          { $group: { _id: '$role', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        ...Object.fromEntries(TAG_FACETS.map(facet => [facet, [
+          { $unwind: `$${facet}` },
+          { $group: { _id: { $toLower: `$${facet}` }, value: { $first: `$${facet}` }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_SIZE }
+        ]]))
+    }}
+  ];
+
+  const [result] = await Profile.aggregate(pipeline);
+
+  const hasMore = result.results.length > limit;
+  const page = result.results.slice(0, limit);
+
+  const facets = { role: result.role.map(({ _id, count }) => ({ value: _id, count })) };
+  for (const facet of TAG_FACETS) {
+    facets[facet] = result[facet].map(({ value, count }) => ({ value, count }));
+  }
+
+  return {
+    results: page.map(({ sort_value, ...profile }) => (sort === 'relevance' ? { ...profile, score: sort_value } : profile)),
+    facets,
+    total: result.total[0]?.count || 0,
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+}
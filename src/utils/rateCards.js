@@ -0,0 +1,150 @@
+// Shot complexities priced per shot (same values as Job.shot_breakdown.complexity)
+export const SHOT_COMPLEXITIES = ['low', 'medium', 'high'];
+
+// Frame-based services priced per frame, and how a job asking for them is recognized
+// (title, required skills or deliverables mentioning them)
+export const FRAME_SERVICES = ['roto', 'paint'];
+const FRAME_SERVICE_PATTERNS = {
+  roto: /\broto/i,
+  paint: /\bpaint/i
+};
+
+const HOURS_PER_DAY = 8;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Optional non-negative rate; returns NaN when invalid
+const parseRate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const rate = Number(value);
+  return Number.isFinite(rate) && rate >= 0 ? rate : NaN;
+};
+
+/**
+ * Validates a rate card from a request body
+ * @param {Object} body - { currency, day_rate?, per_shot?: { low, medium, high }, per_frame?: { roto, paint } }
+ * @returns {{ error: string }|{ rateCard: Object }}
+ */
+export function parseRateCardInput({ currency, day_rate, per_shot = {}, per_frame = {} }) {
+  if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency.trim())) {
+    return { error: 'currency must be a 3-letter currency code' };
+  }
+
+  const rateCard = {
+    currency: currency.trim().toUpperCase(),
+    day_rate: parseRate(day_rate),
+    per_shot: Object.fromEntries(SHOT_COMPLEXITIES.map(complexity => [complexity, parseRate(per_shot?.[complexity])])),
+    per_frame: Object.fromEntries(FRAME_SERVICES.map(service => [service, parseRate(per_frame?.[service])]))
+  };
+
+  const rates = [rateCard.day_rate, ...Object.values(rateCard.per_shot), ...Object.values(rateCard.per_frame)];
+  if (rates.some(Number.isNaN)) {
+    return { error: 'Rates must be non-negative numbers' };
+  }
+  if (rates.every(rate => rate === undefined)) {
+    return { error: 'Add at least one rate' };
+  }
+
+  return { rateCard };
+}
+
+/**
+ * Frame-based services a job asks for
+ * @param {Object} job - Job
+ * @returns {string[]}
+ */
+function jobFrameServices(job) {
+  const text = [job.title, ...(job.required_skills || []), ...(job.deliverables || [])].join(' ');
+  return FRAME_SERVICES.filter(service => FRAME_SERVICE_PATTERNS[service].test(text));
+}
+
+const shotFrames = (shot) => {
+  if (!Number.isFinite(shot.frame_in) || !Number.isFinite(shot.frame_out) || shot.frame_out < shot.frame_in) {
+    return null;
+  }
+  return shot.frame_out - shot.frame_in + 1;
+};
+
+/**
+ * Estimates a bid on a job from a rate card. Pricing basis, in order:
+ * - hourly jobs with estimated hours: day rate per started 8-hour day
+ * - a shot breakdown: per frame for roto/paint jobs, otherwise per shot by complexity
+ * - total frames (roto/paint jobs) or total shots (priced as medium complexity)
+ * Amounts are in the rate card's currency; nothing is converted.
+ * @param {Object} rateCard - Profile.rate_card
+ * @param {Object} job - Job
+ * @returns {{ currency: string, amount_total: number, breakdown: Object[], unpriced: string[], warnings: string[], basis: string|null }}
+ *   `breakdown` has the same shape as Bid.breakdown; `unpriced` lists what had no matching rate
+ */
+export function estimateBid(rateCard, job) {
+  const breakdown = [];
+  const unpriced = [];
+  const warnings = [];
+  const services = jobFrameServices(job);
+  const shots = job.shot_breakdown || [];
+  let basis = null;
+
+  // Adds a line when the rate card has the rate, otherwise records it as unpriced
+  const price = (label, rate, quantity, missing) => {
+    if (rate === undefined || rate === null) {
+      unpriced.push(missing);
+    } else {
+      breakdown.push({ label, amount: round(rate * quantity) });
+    }
+  };
+
+  if (job.payment_type === 'hourly' && job.estimated_hours > 0) {
+    basis = 'day_rate';
+    const days = Math.ceil(job.estimated_hours / HOURS_PER_DAY);
+    price(`${days} day(s) at day rate`, rateCard.day_rate, days, 'Day rate');
+  } else if (shots.length > 0) {
+    basis = services.length > 0 ? 'per_frame' : 'per_shot';
+
+    for (const shot of shots) {
+      const name = shot.shot_code ? `${shot.shot_code} ${shot.name}` : shot.name;
+
+      if (services.length > 0) {
+        const frames = shotFrames(shot);
+        if (!frames) {
+          unpriced.push(`${name}: frame range missing`);
+          continue;
+        }
+        for (const service of services) {
+          price(`${name} - ${service}, ${frames} frames`, rateCard.per_frame?.[service], frames, `${name}: no ${service} rate`);
+        }
+      } else {
+        const complexity = shot.complexity || 'medium';
+        price(`${name} (${complexity})`, rateCard.per_shot?.[complexity], 1, `${name}: no ${complexity} shot rate`);
+      }
+    }
+  } else if (services.length > 0 && job.total_frames > 0) {
+    basis = 'per_frame';
+    for (const service of services) {
+      price(`${service}, ${job.total_frames} frames`, rateCard.per_frame?.[service], job.total_frames, `No ${service} rate`);
+    }
+  } else if (job.total_shots > 0) {
+    basis = 'per_shot';
+    warnings.push('The job has no shot breakdown; every shot is priced as medium complexity');
+    price(`${job.total_shots} shot(s) (medium)`, rateCard.per_shot?.medium, job.total_shots, 'No medium shot rate');
+  } else {
+    unpriced.push('The job has no shot breakdown, shot or frame counts, or estimated hours to price from');
+  }
+
+  const amountTotal = round(breakdown.reduce((sum, line) => sum + line.amount, 0));
+  const jobCurrency = (job.currency || 'INR').toUpperCase();
+
+  if (jobCurrency !== rateCard.currency) {
+    warnings.push(`The rate card is in ${rateCard.currency} but the job budget is in ${jobCurrency}`);
+  } else if (job.max_budget && amountTotal > job.max_budget) {
+    warnings.push(`The estimate is above the job's maximum budget of ${job.max_budget} ${jobCurrency}`);
+  }
+
+  return {
+    currency: rateCard.currency,
+    amount_total: amountTotal,
+    breakdown,
+    unpriced,
+    warnings,
+    basis
+  };
+}
@@ -0,0 +1,121 @@
+import Profile from '../models/Profile.js';
+import Review from '../models/Review.js';
+
+// Per-aspect ratings a review can carry (see Review.aspects)
+export const RATING_ASPECTS = ['communication', 'quality', 'timeliness', 'professionalism'];
+
+// Bayesian prior: every profile starts as if it had PRIOR_WEIGHT reviews of PRIOR_MEAN stars, so a
+// single 5-star review doesn't outrank a long record of 4.8s
+export const RATING_PRIOR_MEAN = 3.5;
+export const RATING_PRIOR_WEIGHT = 5;
+
+const average = (sum, count) => ({
+  $cond: [{ $gt: [count, 0] }, { $round: [{ $divide: [sum, count] }, 2] }, null]
+});
+
+// Update pipeline deriving review_stats (and the legacy half-star `rating`) from review_totals
+const DERIVE_REVIEW_STATS = [{
+  $set: {
+    'review_stats.count': { $ifNull: ['$review_totals.count', 0] },
+    'review_stats.average': average('$review_totals.rating_sum', '$review_totals.count'),
+    'review_stats.bayesian_score': {
+      $cond: [
+        { $gt: ['$review_totals.count', 0] },
+        { $round: [{
+          $divide: [
+            { $add: [RATING_PRIOR_MEAN * RATING_PRIOR_WEIGHT, '$review_totals.rating_sum'] },
+            { $add: [RATING_PRIOR_WEIGHT, '$review_totals.count'] }
+          ]
+        }, 2] },
+        null
+      ]
+    },
+    ...Object.fromEntries(RATING_ASPECTS.map(aspect => [
+      `review_stats.aspects.${aspect}`,
+      average(`$review_totals.aspect_sums.${aspect}`, `$review_totals.aspect_counts.${aspect}`)
+    ])),
+    rating: {
+      $cond: [
+        { $gt: ['$review_totals.count', 0] },
+        { $divide: [{ $round: [{ $multiply: [{ $divide: ['$review_totals.rating_sum', '$review_totals.count'] }, 2] }, 0] }, 2] },
+        null
+      ]
+    }
+  }
+}];
+
+// $inc fields adding (sign 1) or removing (sign -1) a review from the totals; private reviews don't count
+const reviewIncrements = (review, sign) => {
+  if (!review || !review.is_public) return [];
+
+  const increments = [
+    ['review_totals.count', sign],
+    ['review_totals.rating_sum', sign * review.rating]
+  ];
+  for (const aspect of RATING_ASPECTS) {
+    const value = review.aspects?.[aspect];
+    if (value) {
+      increments.push([`review_totals.aspect_sums.${aspect}`, sign * value]);
+      increments.push([`review_totals.aspect_counts.${aspect}`, sign]);
+    }
+  }
+  return increments;
+};
+
+/**
+ * Applies a review change to the reviewed user's rating totals and recomputes the derived stats
+ * Pass `before` and/or `after` (null for a created or deleted review); only public reviews count.
+ * Failures are logged and swallowed; rebuildReviewStats() repairs the totals.
+ * @param {ObjectId|string} userId - Reviewed user
+ * @param {Object} change
+ * @param {Object|null} [change.before] - Review as it was
+ * @param {Object|null} [change.after] - Review as it is now
+ * @returns {Promise<void>}
+ */
+export async function updateReviewStats(userId, { before = null, after = null }) {
+  try {
+    const inc = {};
+    for (const [field, value] of [...reviewIncrements(before, -1), ...reviewIncrements(after, 1)]) {
+      inc[field] = (inc[field] || 0) + value;
+    }
+    for (const field of Object.keys(inc)) {
+      if (inc[field] === 0) delete inc[field];
+    }
+
+    if (Object.keys(inc).length === 0) {
+      return;
+    }
+
+    await Profile.updateOne({ user_id: userId }, { $inc: inc });
+    await Profile.updateOne({ user_id: userId }, DERIVE_REVIEW_STATS);
+  } catch (error) {
+    console.error('Error updating review stats:', error);
+    // Don't throw - this is a background operation
+  }
+}
+
+/**
+ * Recomputes a user's rating totals from all their public reviews
+ * @param {ObjectId|string} userId - Reviewed user
+ * @returns {Promise<void>}
+ */
+export async function rebuildReviewStats(userId) {
+  const reviews = await Review.find({ target_user_id: userId, is_public: true }).select('rating aspects is_public').lean();
+
+  const totals = {
+    count: 0,
+    rating_sum: 0,
+    aspect_sums: Object.fromEntries(RATING_ASPECTS.map(aspect => [aspect, 0])),
+    aspect_counts: Object.fromEntries(RATING_ASPECTS.map(aspect => [aspect, 0]))
+  };
+  for (const review of reviews) {
+    for (const [field, value] of reviewIncrements(review, 1)) {
+      const path = field.split('.').slice(1);
+      const parent = path.slice(0, -1).reduce((object, key) => object[key], totals);
+      parent[path[path.length - 1]] += value;
+    }
+  }
+
+  await Profile.updateOne({ user_id: userId }, { $set: { review_totals: totals } });
+  await Profile.updateOne({ user_id: userId }, DERIVE_REVIEW_STATS);
+}
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const IMPERSONATION_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Hashes a token secret for storage (tokens are never stored in plain text)
+ * @param {string} value - Token secret
+ * @returns {string} - Hex-encoded SHA-256 hash
+ */
+export function hashToken(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Signs a short-lived access token bound to a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} - Signed JWT
+ */
+export function signAccessToken(user, session) {
+  return jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+/**
+ * Signs the intermediate token returned by signin when a second factor is required
+ * It carries no session, so `protect` never accepts it as an access token
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+export function signTwoFactorChallenge(user) {
+  return jwt.sign({ id: user._id, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL
+  });
+}
+
+/**
+ * Signs a short-lived access token that lets an admin act as another user ("view as user").
+ * It has no session and can't be refreshed; `protect` checks the admin on every request.
+ * @param {Object} user - Impersonated user
+ * @param {Object} admin - Admin starting the impersonation
+ * @returns {{ token: string, expires_at: Date }}
+ */
+export function signImpersonationToken(user, admin) {
+  const token = jwt.sign({ id: user._id, impersonated_by: admin._id }, process.env.JWT_SECRET, {
+    expiresIn: IMPERSONATION_TOKEN_TTL
+  });
+  return { token, expires_at: new Date(jwt.decode(token).exp * 1000) };
+}
+
+/**
+ * Verifies a two-factor challenge token
+ * @param {string} token - Challenge token from signin
+ * @returns {string|null} - User ID, or null if the token is invalid/expired
+ */
+export function verifyTwoFactorChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa_challenge' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Generates a new refresh token secret for a session
+ * Refresh tokens have the form `<sessionId>.<secret>`
+ * @param {ObjectId} sessionId - Session
+ * @returns {{ refreshToken: string, fields: Object }} - Refresh token to hand to the client, and the
+ *   session fields to save with it (secret hash, new expiry)
+ */
+function newRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    fields: {
+      token_hash: hashToken(secret),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      last_used_at: new Date()
+    }
+  };
+}
+
+/**
+ * Builds the token part of auth responses
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {{ token: string, refresh_token: string, session_id: string }}
+ */
+function buildTokenResponse(user, session, refreshToken) {
+  return {
+    token: signAccessToken(user, session),
+    refresh_token: refreshToken,
+    session_id: session._id
+  };
+}
+
+/**
+ * Starts a new session for a user (signin/signup)
+ * @param {Object} user - User document
+ * @param {import('express').Request} req - Current request (device info)
+ * @returns {Promise<{ token: string, refresh_token: string, session_id: string }>}
+ */
+export async function startSession(user, req) {
+  const session = new Session({
+    user_id: user._id,
+    user_agent: req.headers['user-agent'],
+    ip: req.ip
+  });
+  const { refreshToken, fields } = newRefreshToken(session._id);
+  session.set(fields);
+  await session.save();
+
+  return buildTokenResponse(user, session, refreshToken);
+}
+
+/**
+ * Exchanges a refresh token for a new access token and a rotated refresh token
+ * Presenting an already-rotated refresh token revokes the session (likely theft). The rotation is a
+ * single conditional update, so of two requests racing with the same token only one succeeds and
+ * the other counts as reuse.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {import('express').Request} req - Current request (device info)
+ * @returns {Promise<{ user: Object, tokens: Object }|{ error: string }>}
+ */
+export async function refreshSession(refreshToken, req) {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return { error: 'Session expired or revoked' };
+  }
+
+  const user = await User.findById(session.user_id).select('-password');
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  const { refreshToken: newToken, fields } = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, token_hash: hashToken(secret), revoked_at: null, expires_at: { $gt: new Date() } },
+    { $set: { ...fields, user_agent: req.headers['user-agent'] || session.user_agent, ip: req.ip } },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // Revoked only if nothing else (e.g. a logout) revoked it meanwhile, keeping that reason
+    await Session.updateOne({ _id: session._id, revoked_at: null }, { revoked_at: new Date(), revoked_reason: 'token_reuse' });
+    return { error: 'Refresh token has already been used' };
+  }
+
+  return { user, tokens: buildTokenResponse(user, rotated, newToken) };
+}
+
+/**
+ * Revokes a single session
+ * @param {Object} session - Session document
+ * @param {string} reason - Revocation reason (see Session model enum)
+ */
+export async function revokeSession(session, reason) {
+  session.revoked_at = new Date();
+  session.revoked_reason = reason;
+  await session.save();
+}
+
+/**
+ * Revokes all active sessions of a user, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason (see Session model enum)
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export async function revokeUserSessions(userId, reason, exceptSessionId) {
+  const query = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(query, { revoked_at: new Date(), revoked_reason: reason });
+  return result.modifiedCount;
+}
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+
+// Words that can't be used as a profile handle or wall slug: they collide with app routes or
+// could be used to impersonate the platform
+export const RESERVED_SLUGS = new Set([
+  'about', 'account', 'admin', 'administrator', 'api', 'app', 'auth', 'billing', 'blog', 'by-handle',
+  'by-slug', 'contracts', 'dashboard', 'discover', 'edit', 'help', 'jobs', 'login', 'logout', 'me',
+  'moderator', 'new', 'news', 'notifications', 'official', 'pending', 'pikxora', 'pixora', 'privacy',
+  'profile', 'profiles', 'register', 'root', 'search', 'security', 'settings', 'signin', 'signup',
+  'staff', 'support', 'system', 'terms', 'wall', 'walls'
+]);
+
+// Slug fields of each model: the current value and the old values that still redirect
+export const PROFILE_HANDLE = { field: 'handle', historyField: 'previous_handles' };
+export const WALL_SLUG = { field: 'slug', historyField: 'previous_slugs' };
+
+export const SLUG_MIN_LENGTH = 3;
+export const SLUG_MAX_LENGTH = 30;
+
+// How many old slugs keep redirecting; older ones are released for others to claim
+const MAX_PREVIOUS_SLUGS = 10;
+
+// Lowercase letters, digits and single hyphens, not at either end
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Turns free text into a slug ("Red Chillies VFX!" -> "red-chillies-vfx")
+ * @param {string} text - Source text
+ * @returns {string} - Possibly empty
+ */
+export function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Validates a handle or slug chosen by a user
+ * @param {string} value - Requested slug
+ * @returns {{ error: string }|{ slug: string }} - The normalized slug
+ */
+export function validateSlug(value) {
+  const slug = typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+  if (slug.length < SLUG_MIN_LENGTH || slug.length > SLUG_MAX_LENGTH) {
+    return { error: `Must be ${SLUG_MIN_LENGTH} to ${SLUG_MAX_LENGTH} characters long` };
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    return { error: 'Only lowercase letters, numbers and single hyphens (not at the start or end) are allowed' };
+  }
+  // Would be ambiguous with record IDs in URLs
+  if (/^[0-9a-f]{24}$/.test(slug)) {
+    return { error: 'This value is not allowed' };
+  }
+  if (RESERVED_SLUGS.has(slug)) {
+    return { error: 'This value is reserved' };
+  }
+
+  return { slug };
+}
+
+/**
+ * Checks whether a slug is free: nobody else uses it now, or used it recently (old slugs redirect)
+ * @param {import('mongoose').Model} Model - Profile or Wall
+ * @param {{ field: string, historyField: string }} fields - Current and previous slug fields
+ * @param {string} slug - Normalized slug
+ * @param {ObjectId} [excludeId] - Document that may keep or reclaim it
+ * @returns {Promise<boolean>}
+ */
+export async function isSlugAvailable(Model, { field, historyField }, slug, excludeId) {
+  const query = { $or: [{ [field]: slug }, { [historyField]: slug }] };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return !(await Model.exists(query));
+}
+
+/**
+ * Generates a free slug from free text, adding a number or random suffix when taken
+ * @param {import('mongoose').Model} Model - Profile or Wall
+ * @param {{ field: string, historyField: string }} fields - Current and previous slug fields
+ * @param {string} text - Source text (name or title)
+ * @param {string} fallback - Base used when the text has no usable characters
+ * @returns {Promise<string>}
+ */
+export async function generateUniqueSlug(Model, fields, text, fallback) {
+  let base = slugify(text);
+  if (base.length < SLUG_MIN_LENGTH || validateSlug(base).error) {
+    base = `${base || fallback}-${crypto.randomBytes(2).toString('hex')}`.replace(/^-/, '');
+  }
+  base = base.slice(0, SLUG_MAX_LENGTH - 5).replace(/-+$/, '');
+
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    const candidate = attempt === 1 ? base : `${base}-${attempt}`;
+    if (await isSlugAvailable(Model, fields, candidate)) {
+      return candidate;
+    }
+  }
+
+  return `${base}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Changes a document's slug, keeping the old one as a redirect (and releasing the oldest
+ * redirects beyond the limit). Does not save.
+ * @param {Object} doc - Profile or Wall document (with the history field selected)
+ * @param {{ field: string, historyField: string }} fields - Current and previous slug fields
+ * @param {string} slug - New, validated and available slug
+ */
+export function applySlugChange(doc, { field, historyField }, slug) {
+  const previous = doc[field];
+  if (previous === slug) {
+    return;
+  }
+
+  const history = (doc[historyField] || []).filter(old => old !== slug);
+  if (previous) {
+    history.push(previous);
+  }
+
+  doc[field] = slug;
+  doc[historyField] = history.slice(-MAX_PREVIOUS_SLUGS);
+}
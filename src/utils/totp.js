@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import { hashToken } from './sessions.js';
+
+// RFC 6238 defaults understood by all common authenticator apps
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes bytes as RFC 4648 base32 (no padding), the format authenticator apps expect
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string}
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodes an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer}
+ */
+export function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generates a new random TOTP secret
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Computes the HOTP value (RFC 4226) for a counter
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Counter (time step for TOTP)
+ * @param {number} [digits] - Code length
+ * @returns {string} - Zero-padded code
+ */
+export function hotp(secret, counter, digits = TOTP_DIGITS) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+}
+
+/**
+ * Returns the TOTP time step for a timestamp
+ * @param {number} [timestampMs] - Defaults to now
+ * @returns {number}
+ */
+export function totpStep(timestampMs = Date.now()) {
+  return Math.floor(timestampMs / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Verifies a TOTP code, allowing for clock drift of `window` steps either side
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window] - Allowed drift in steps (default 1 = ±30s)
+ * @param {number} [options.afterStep] - Reject steps at or before this one (replay protection)
+ * @returns {number|null} - The matching time step, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, { window = 1, afterStep = -1 } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = totpStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Builds the otpauth:// provisioning URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Usually the user's email
+ * @param {string} [issuer] - Shown in the authenticator app
+ * @returns {string}
+ */
+export function buildOtpauthUrl(secret, accountName, issuer = 'Pikxora') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generates one-time recovery codes (format xxxxx-xxxxx)
+ * @param {number} [count] - Number of codes
+ * @returns {string[]}
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Checks a TOTP code or a recovery code for a user loaded with the 2FA secret fields.
+ * Records the used step / consumes the recovery code on the document; the caller saves it.
+ * @param {Object} user - User document with two_factor_secret, two_factor_recovery_codes and two_factor_last_step
+ * @param {Object} input
+ * @param {string} [input.code] - 6-digit TOTP code
+ * @param {string} [input.recovery_code] - One of the user's recovery codes
+ * @returns {boolean}
+ */
+export function checkSecondFactor(user, { code, recovery_code }) {
+  if (code) {
+    const step = verifyTotp(user.two_factor_secret, code, { afterStep: user.two_factor_last_step ?? -1 });
+    if (step === null) return false;
+    user.two_factor_last_step = step;
+    return true;
+  }
+
+  if (recovery_code) {
+    const codeHash = hashToken(String(recovery_code).trim().toLowerCase());
+    const index = (user.two_factor_recovery_codes || []).indexOf(codeHash);
+    if (index === -1) return false;
+    user.two_factor_recovery_codes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+}
@@ -0,0 +1,135 @@
+import Profile from '../models/Profile.js';
+import VerificationRequest, { VERIFICATION_DOCUMENT_TYPES } from '../models/VerificationRequest.js';
+import { recordAuditEvent } from './audit.js';
+import { notifyUser } from './notifications.js';
+import { refreshProfileCompleteness } from './completeness.js';
+import { isBase64Image, uploadBase64ToCloudinary, validateBase64ImageSize } from './imageUtils.js';
+
+export const VERIFICATION_DECISIONS = ['approved', 'rejected'];
+
+const MAX_DOCUMENTS = 10;
+const MAX_DOCUMENT_SIZE_MB = 10;
+
+const isBase64Pdf = (value) => typeof value === 'string' && value.startsWith('data:application/pdf;base64,');
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validates submitted verification documents and uploads the attached files to Cloudinary.
+ * Each document is { type, label?, url } where url is a link or a base64 image/PDF data URI.
+ * @param {Object[]} documents - Documents from the request body
+ * @returns {Promise<{ error: string }|{ documents: Object[] }>}
+ */
+export async function prepareVerificationDocuments(documents) {
+  if (!Array.isArray(documents) || documents.length === 0) {
+    return { error: 'At least one document is required' };
+  }
+  if (documents.length > MAX_DOCUMENTS) {
+    return { error: `At most ${MAX_DOCUMENTS} documents can be submitted` };
+  }
+
+  // Validate everything before uploading anything
+  for (const document of documents) {
+    if (!VERIFICATION_DOCUMENT_TYPES.includes(document?.type)) {
+      return { error: `Document type must be one of: ${VERIFICATION_DOCUMENT_TYPES.join(', ')}` };
+    }
+    if (isBase64Image(document.url) || isBase64Pdf(document.url)) {
+      const validation = validateBase64ImageSize(document.url, MAX_DOCUMENT_SIZE_MB);
+      if (!validation.valid) {
+        return { error: validation.error };
+      }
+    } else if (!isHttpUrl(document.url)) {
+      return { error: 'Each document needs a link or an uploaded image or PDF' };
+    }
+  }
+
+  const prepared = [];
+  for (const document of documents) {
+    const entry = { type: document.type, label: document.label, url: document.url };
+    if (!isHttpUrl(document.url)) {
+      const result = await uploadBase64ToCloudinary(document.url, 'verification-documents', document.type, 'image');
+      entry.url = result.secure_url;
+      entry.uploaded = true;
+    }
+    prepared.push(entry);
+  }
+
+  return { documents: prepared };
+}
+
+/**
+ * Sets a profile's verification status and records the decision: appended to the profile's
+ * verification history, closes the pending request (the one given, or any still open),
+ * audited and notified to the profile owner
+ * @param {import('express').Request} req - Current request (the deciding admin)
+ * @param {Object} options
+ * @param {ObjectId|string} options.profileId - Profile
+ * @param {string} options.status - 'approved' or 'rejected'
+ * @param {string} options.reason - Why (shown to the profile owner)
+ * @param {Object} [options.request] - Request already claimed by the caller
+ * @param {number} [options.trustScore] - Admin trust score to set along with the decision
+ * @returns {Promise<{ profile: Object, request: Object|null }|null>} - null when the profile does not exist
+ */
+export async function decideVerification(req, { profileId, status, reason, request = null, trustScore }) {
+  const previous = await Profile.findById(profileId).select('user_id verification_status trust_score').lean();
+  if (!previous) {
+    return null;
+  }
+
+  const decidedAt = new Date();
+
+  if (!request) {
+    request = await VerificationRequest.findOneAndUpdate(
+      { profile_id: profileId, status: 'pending' },
+      { status, decided_by: req.user._id, decision_reason: reason, decided_at: decidedAt },
+      { new: true }
+    );
+  }
+
+  const update = {
+    $set: { verification_status: status },
+    $push: {
+      verification_history: {
+        status,
+        reason,
+        decided_by: req.user._id,
+        request_id: request?._id,
+        decided_at: decidedAt
+      }
+    }
+  };
+  if (trustScore !== undefined) {
+    update.$set.trust_score = trustScore;
+  }
+
+  const profile = await Profile.findByIdAndUpdate(profileId, update, { new: true, runValidators: true });
+
+  await recordAuditEvent(req, {
+    action: 'profile.verification_updated',
+    targetType: 'profile',
+    targetId: profile._id,
+    before: { verification_status: previous.verification_status, trust_score: previous.trust_score },
+    after: { verification_status: profile.verification_status, trust_score: profile.trust_score },
+    metadata: { user_id: profile.user_id, request_id: request?._id, reason }
+  });
+
+  await notifyUser(req, {
+    recipient: profile.user_id,
+    type: 'verification_decided',
+    title: status === 'approved' ? 'Your profile has been verified' : 'Your verification request was rejected',
+    message: reason,
+    entity_type: request ? 'verification_request' : undefined,
+    entity_id: request?._id,
+    data: { profile_id: profile._id, status }
+  });
+
+  await refreshProfileCompleteness(profile._id);
+
+  return { profile, request };
+}
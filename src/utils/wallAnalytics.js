@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import WallView, { WALL_VIEW_RETENTION_DAYS } from '../models/WallView.js';
+import Profile from '../models/Profile.js';
+import Project from '../models/Project.js';
+
+// Events clients can report besides views
+export const WALL_EVENT_TYPES = ['showreel_play', 'project_click'];
+
+// A visitor's views of a wall within this window count once (refreshes, back navigation)
+const REPEAT_VIEW_WINDOW_MS = 30 * 60 * 1000;
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TOP_REFERRERS = 10;
+
+// Crawlers, link previews, headless browsers and HTTP libraries
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|phantomjs|lighthouse|pingdom|uptime|monitor|curl|wget|python|java\/|go-http-client|okhttp|axios|node-fetch|undici|postman|insomnia/i;
+
+// Geolocation headers set by the CDN in front of the API (Cloudflare, Vercel, CloudFront)
+const COUNTRY_HEADERS = ['cf-ipcountry', 'x-vercel-ip-country', 'cloudfront-viewer-country'];
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Whether a request comes from a bot rather than a person (no user agent counts as a bot)
+ * @param {string} [userAgent]
+ * @returns {boolean}
+ */
+export function isBot(userAgent) {
+  return !userAgent || BOT_USER_AGENT.test(userAgent);
+}
+
+/**
+ * Anonymous visitor ID: a hash of the IP and user agent, salted with a server secret and the day,
+ * so the raw values are never stored and visitors can't be followed from one day to the next
+ * @param {import('express').Request} req
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string}
+ */
+function visitorHash(req, day) {
+  const salt = process.env.ANALYTICS_SALT || process.env.JWT_SECRET;
+  return crypto.createHash('sha256')
+    .update(`${salt}:${day}:${req.ip}:${req.get('user-agent')}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Host of the page a visitor came from. The SPA sends document.referrer as `referrer`, since the
+ * Referer header of its API calls is the app itself; the header is used when it isn't sent.
+ * @param {import('express').Request} req
+ * @returns {string|undefined} - Lowercase host without www., or undefined for direct visits
+ */
+function referrerHost(req) {
+  const value = typeof req.body?.referrer === 'string' ? req.body.referrer : req.get('referer');
+
+  try {
+    return new URL(value).hostname.toLowerCase().replace(/^www\./, '') || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @param {import('express').Request} req
+ * @returns {string|undefined} - Two-letter country code, when the CDN provides one
+ */
+function countryOf(req) {
+  for (const header of COUNTRY_HEADERS) {
+    const value = req.get(header)?.trim().toUpperCase();
+    // XX (unknown) and T1 (Tor) aren't countries
+    if (value && /^[A-Z]{2}$/.test(value) && value !== 'XX') {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Records a visitor event on a wall. Bots and the wall's owner are not recorded, and repeat views
+ * by the same visitor within 30 minutes count once.
+ * @param {import('express').Request} req - Visitor's request (req.user set when signed in)
+ * @param {Object} wall - Wall with user_id (its profile)
+ * @param {Object} event
+ * @param {string} event.type - 'view', 'showreel_play' or 'project_click'
+ * @param {ObjectId} [event.projectId] - Project clicked
+ * @returns {Promise<boolean>} - Whether the event was counted
+ */
+export async function recordWallEvent(req, wall, { type, projectId }) {
+  if (isBot(req.get('user-agent'))) {
+    return false;
+  }
+  if (req.user && await Profile.exists({ _id: wall.user_id, user_id: req.user._id })) {
+    return false;
+  }
+
+  const now = new Date();
+  const day = dayOf(now);
+  const visitor = visitorHash(req, day);
+
+  if (type === 'view') {
+    const recent = await WallView.exists({
+      wall_id: wall._id,
+      visitor_hash: visitor,
+      type: 'view',
+      createdAt: { $gt: new Date(now.getTime() - REPEAT_VIEW_WINDOW_MS) }
+    });
+    if (recent) {
+      return false;
+    }
+  }
+
+  await WallView.create({
+    wall_id: wall._id,
+    type,
+    project_id: projectId,
+    day,
+    visitor_hash: visitor,
+    referrer_host: type === 'view' ? referrerHost(req) : undefined,
+    country: countryOf(req)
+  });
+
+  return true;
+}
+
+/**
+ * Reads the from/to query parameters of an analytics request
+ * @param {Object} query - { from, to } as YYYY-MM-DD (UTC days, inclusive)
+ * @returns {{ error: string }|{ from: string, to: string }} - Defaults to the last 30 days
+ */
+export function parseAnalyticsRange({ from, to }) {
+  const today = dayOf(new Date());
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && (!DAY.test(value) || Number.isNaN(Date.parse(value)))) {
+      return { error: `${name} must be a date (YYYY-MM-DD)` };
+    }
+  }
+
+  const end = to ?? today;
+  const start = from ?? dayOf(new Date(Date.parse(end) - (DEFAULT_RANGE_DAYS - 1) * 86400000));
+
+  if (start > end) {
+    return { error: 'from must not be after to' };
+  }
+  if ((Date.parse(end) - Date.parse(start)) / 86400000 + 1 > MAX_RANGE_DAYS) {
+    return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * Wall analytics for a range of days: totals, a row per day, and where views came from
+ * Unique visitors are counted per day (visitor IDs change daily), so range totals add up the days.
+ * @param {ObjectId} wallId - Wall
+ * @param {Object} range - From parseAnalyticsRange
+ * @returns {Promise<Object>}
+ */
+export async function getWallAnalytics(wallId, { from, to }) {
+  const countOf = (type) => ({ $sum: { $cond: [{ $eq: ['$type', type] }, 1, 0] } });
+
+  const [result] = await WallView.aggregate([
+    { $match: { wall_id: wallId, day: { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        daily: [
+          {
+            $group: {
+              _id: '$day',
+              views: countOf('view'),
+              visitors: { $addToSet: '$visitor_hash' },
+              showreel_plays: countOf('showreel_play'),
+              project_clicks: countOf('project_click')
+            }
+          },
+          { $project: { views: 1, unique_visitors: { $size: '$visitors' }, showreel_plays: 1, project_clicks: 1 } }
+        ],
+        referrers: [
+          { $match: { type: 'view' } },
+          { $group: { _id: { $ifNull: ['$referrer_host', null] }, views: { $sum: 1 } } },
+          { $sort: { views: -1, _id: 1 } },
+          { $limit: TOP_REFERRERS }
+        ],
+        countries: [
+          { $match: { type: 'view' } },
+          { $group: { _id: { $ifNull: ['$country', null] }, views: { $sum: 1 } } },
+          { $sort: { views: -1, _id: 1 } }
+        ],
+        projects: [
+          { $match: { type: 'project_click' } },
+          { $group: { _id: '$project_id', clicks: { $sum: 1 } } },
+          { $sort: { clicks: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  // A row for every day of the range, including days without events
+  const byDay = new Map(result.daily.map(row => [row._id, row]));
+  const daily = [];
+  for (let time = Date.parse(from); time <= Date.parse(to); time += 86400000) {
+    const date = dayOf(new Date(time));
+    const row = byDay.get(date);
+    daily.push({
+      date,
+      views: row?.views ?? 0,
+      unique_visitors: row?.unique_visitors ?? 0,
+      showreel_plays: row?.showreel_plays ?? 0,
+      project_clicks: row?.project_clicks ?? 0
+    });
+  }
+
+  const totals = { views: 0, unique_visitors: 0, showreel_plays: 0, project_clicks: 0 };
+  for (const row of daily) {
+    for (const key of Object.keys(totals)) {
+      totals[key] += row[key];
+    }
+  }
+
+  const projects = await Project.find({ _id: { $in: result.projects.map(row => row._id) } }).select('title').lean();
+  const titles = new Map(projects.map(project => [project._id.toString(), project.title]));
+
+  return {
+    from,
+    to,
+    retention_days: WALL_VIEW_RETENTION_DAYS,
+    totals,
+    daily,
+    referrers: result.referrers.map(row => ({ referrer: row._id ?? 'direct', views: row.views })),
+    countries: result.countries.map(row => ({ country: row._id ?? 'unknown', views: row.views })),
+    projects: result.projects.map(row => ({
+      project_id: row._id,
+      title: titles.get(String(row._id)),
+      clicks: row.clicks
+    }))
+  };
+}
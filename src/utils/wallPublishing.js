@@ -0,0 +1,172 @@
+import Wall from '../models/Wall.js';
+import Profile from '../models/Profile.js';
+import { rules } from '../config/policies.js';
+import { hasBlocked } from './blocks.js';
+import { recordWallRevision, restoreUpdate } from './wallRevisions.js';
+
+// How often the scheduler looks for walls due to go live or come down
+export const WALL_SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// Walls handled per scheduler run (the rest wait for the next one)
+const SCHEDULER_BATCH_SIZE = 100;
+
+/**
+ * Makes a wall live, promoting its draft when it has one, and clears its publish_at.
+ * Only applies if the wall is still at the version it was loaded at.
+ * @param {Object} wall - Wall with its draft selected
+ * @param {Object} [options]
+ * @param {import('express').Request|null} [options.req] - Current request (revision author)
+ * @param {Object} [options.filter] - Extra conditions the wall must still meet
+ * @returns {Promise<Object|null>} - The updated wall (with its draft selected), or null when it changed
+ */
+export async function publishWall(wall, { req = null, filter = {} } = {}) {
+  const update = { $set: { published: true }, $unset: { publish_at: '' }, $inc: { __v: 1 } };
+
+  if (wall.draft) {
+    const content = restoreUpdate(wall.draft);
+    Object.assign(update.$set, content.$set);
+    Object.assign(update.$unset, content.$unset, { draft: '', draft_updated_at: '' });
+  }
+
+  const updated = await Wall.findOneAndUpdate(
+    { ...filter, _id: wall._id, __v: wall.__v ?? 0 },
+    update,
+    { new: true, runValidators: true }
+  ).select('+draft');
+
+  if (updated && wall.draft) {
+    await recordWallRevision(req, updated, { action: 'publish', previous: wall });
+  }
+
+  return updated;
+}
+
+/**
+ * Takes a wall down (its draft is kept) and clears its unpublish_at.
+ * Only applies if the wall is still at the version it was loaded at.
+ * @param {Object} wall - Wall
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - Extra conditions the wall must still meet
+ * @returns {Promise<Object|null>} - The updated wall (with its draft selected), or null when it changed
+ */
+export async function unpublishWall(wall, { filter = {} } = {}) {
+  return Wall.findOneAndUpdate(
+    { ...filter, _id: wall._id, __v: wall.__v ?? 0 },
+    { $set: { published: false }, $unset: { unpublish_at: '' }, $inc: { __v: 1 } },
+    { new: true }
+  ).select('+draft');
+}
+
+/**
+ * Whether a viewer sees a user's unpublished walls: only the user and admins do
+ * @param {ObjectId|string} ownerId - User who owns the walls (their profile's user_id)
+ * @param {Object} [viewer] - req.user
+ * @returns {boolean}
+ */
+export function seesUnpublishedWalls(ownerId, viewer) {
+  return Boolean(viewer) && (String(ownerId) === String(viewer._id) || rules.admin({ user: viewer }));
+}
+
+/**
+ * Whether a wall is hidden from a viewer, who then gets the same 404 as for a missing wall:
+ * unpublished walls are hidden from everyone but their owner and admins, and every wall from users
+ * its owner blocked
+ * @param {Object} wall - Wall with published
+ * @param {ObjectId|string} ownerId - User who owns the wall (its profile's user_id)
+ * @param {Object} [viewer] - req.user
+ * @returns {Promise<boolean>}
+ */
+export async function isWallHiddenFrom(wall, ownerId, viewer) {
+  if (!wall.published && !seesUnpublishedWalls(ownerId, viewer)) {
+    return true;
+  }
+  return Boolean(viewer) && hasBlocked(ownerId, viewer._id);
+}
+
+/**
+ * Loads a wall unless it is missing or hidden from the viewer (see isWallHiddenFrom)
+ * @param {ObjectId|string} wallId - Wall
+ * @param {Object} [viewer] - req.user
+ * @param {string} [fields] - Fields to select besides user_id and published
+ * @returns {Promise<Object|null>} - Plain wall object, or null
+ */
+export async function findVisibleWall(wallId, viewer, fields = '') {
+  const wall = await Wall.findById(wallId).select(`user_id published ${fields}`).lean();
+  if (!wall) {
+    return null;
+  }
+
+  const profile = await Profile.findById(wall.user_id).select('user_id').lean();
+  return (await isWallHiddenFrom(wall, profile?.user_id, viewer)) ? null : wall;
+}
+
+/**
+ * Publishes and unpublishes the walls whose publish_at / unpublish_at has passed.
+ * Safe to run from several servers at once: each wall is only updated by the run that loaded
+ * its current version.
+ * @param {Date} [now]
+ * @returns {Promise<{ published: number, unpublished: number }>}
+ */
+export async function runWallSchedule(now = new Date()) {
+  const result = { published: 0, unpublished: 0 };
+
+  const due = await Wall.find({ publish_at: { $lte: now } })
+    .select('+draft')
+    .sort({ publish_at: 1 })
+    .limit(SCHEDULER_BATCH_SIZE);
+
+  for (const wall of due) {
+    try {
+      if (await publishWall(wall, { filter: { publish_at: { $lte: now } } })) {
+        result.published += 1;
+      }
+    } catch (error) {
+      console.error(`Scheduled publish of wall ${wall._id} failed:`, error);
+    }
+  }
+
+  // Loaded after publishing, so a wall due for both goes live and then comes down
+  const expiring = await Wall.find({ unpublish_at: { $lte: now } })
+    .select('_id __v')
+    .sort({ unpublish_at: 1 })
+    .limit(SCHEDULER_BATCH_SIZE);
+
+  for (const wall of expiring) {
+    try {
+      if (await unpublishWall(wall, { filter: { unpublish_at: { $lte: now } } })) {
+        result.unpublished += 1;
+      }
+    } catch (error) {
+      console.error(`Scheduled unpublish of wall ${wall._id} failed:`, error);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Runs the wall schedule every WALL_SCHEDULER_INTERVAL_MS (a run still in progress is never
+ * overlapped). The timer doesn't keep the process alive.
+ * @returns {NodeJS.Timeout}
+ */
+export function startWallScheduler() {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { published, unpublished } = await runWallSchedule();
+      if (published || unpublished) {
+        console.log(`Wall scheduler: ${published} published, ${unpublished} unpublished`);
+      }
+    } catch (error) {
+      console.error('Wall scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  }, WALL_SCHEDULER_INTERVAL_MS);
+  timer.unref?.();
+
+  return timer;
+}
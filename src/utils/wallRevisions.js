@@ -0,0 +1,213 @@
+import WallRevision from '../models/WallRevision.js';
+import Wall from '../models/Wall.js';
+import { diffFields } from './audit.js';
+import { deleteWallMedia } from './wallUpdates.js';
+
+// Wall fields a revision captures and a restore brings back (publishing state, slug and view
+// count are not content)
+export const WALL_CONTENT_FIELDS = [
+  'title', 'tagline', 'description', 'journey_content',
+  'logo_url', 'hero_media_url', 'hero_media_type', 'showreel_url', 'showreel_type',
+  'brand_colors', 'social_links', 'awards', 'associations'
+];
+
+// Revisions kept per wall; older ones are pruned along with media only they reference
+export const MAX_WALL_REVISIONS = 50;
+
+/**
+ * Plain snapshot of a wall's content (fields without a value are left out)
+ * @param {Object} wall - Wall document or plain object
+ * @returns {Object}
+ */
+export function wallContent(wall) {
+  const source = wall.toObject ? wall.toObject() : wall;
+  const content = {};
+
+  for (const field of WALL_CONTENT_FIELDS) {
+    const value = source[field];
+    if (value === undefined || value === null) continue;
+
+    if (field === 'associations') {
+      // Subdocument IDs change on every edit and would show up as differences
+      content.associations = value.map(({ name, description, image, url }) => ({ name, description, image, url }));
+    } else if (field === 'brand_colors' || field === 'social_links') {
+      const entries = Object.entries(value).filter(([, nested]) => nested !== undefined && nested !== null && nested !== '');
+      if (entries.length > 0) content[field] = Object.fromEntries(entries);
+    } else {
+      content[field] = value;
+    }
+  }
+
+  return content;
+}
+
+/**
+ * Cloudinary-hostable files referenced by a content snapshot
+ * @param {Object} content - From wallContent
+ * @returns {{ url: string, resourceType: string }[]}
+ */
+export function wallMediaFiles(content) {
+  const files = [
+    { url: content.logo_url, resourceType: 'image' },
+    { url: content.hero_media_url, resourceType: content.hero_media_type === 'video' ? 'video' : 'image' },
+    { url: content.showreel_url, resourceType: 'video' },
+    ...(content.associations || []).map(association => ({ url: association.image, resourceType: 'image' }))
+  ];
+  return files.filter(file => file.url);
+}
+
+/**
+ * Builds the update that puts a content snapshot back on a wall
+ * @param {Object} content - From wallContent
+ * @returns {{ $set: Object, $unset: Object }}
+ */
+export function restoreUpdate(content) {
+  const $set = {};
+  const $unset = {};
+
+  for (const field of WALL_CONTENT_FIELDS) {
+    if (content[field] === undefined) {
+      $unset[field] = '';
+    } else {
+      $set[field] = content[field];
+    }
+  }
+
+  return { $set, $unset };
+}
+
+/**
+ * Records a revision of a wall after its live content changed, then prunes old revisions
+ * The first edit of a wall saved before revisions existed also records a baseline of the previous
+ * state, so it can be restored. Failures are logged and swallowed so a history problem never
+ * breaks the calling request.
+ * @param {import('express').Request|null} req - Current request (author); null for the scheduler
+ * @param {Object} wall - The wall as saved
+ * @param {Object} options
+ * @param {string} options.action - 'create', 'update', 'restore' or 'publish'
+ * @param {Object} [options.previous] - The wall before the save
+ * @param {number} [options.restoredFrom] - Revision a restore copied
+ * @returns {Promise<Object|null>} - The saved revision, or null on failure
+ */
+export async function recordWallRevision(req, wall, { action, previous, restoredFrom }) {
+  try {
+    const previousContent = previous ? wallContent(previous) : {};
+
+    if (previous && !(await WallRevision.exists({ wall_id: wall._id }))) {
+      await WallRevision.create({
+        wall_id: wall._id,
+        revision: previous.__v ?? 0,
+        action: 'baseline',
+        changed_fields: Object.keys(previousContent),
+        content: previousContent
+      });
+    }
+
+    const content = wallContent(wall);
+    const revision = await WallRevision.create({
+      wall_id: wall._id,
+      revision: wall.__v ?? 0,
+      action,
+      restored_from: restoredFrom,
+      author_id: req?.user?._id,
+      changed_fields: Object.keys(diffFields(previousContent, content)),
+      content
+    });
+
+    await pruneWallRevisions(wall._id);
+
+    return revision;
+  } catch (error) {
+    console.error('Error recording wall revision:', error);
+    return null;
+  }
+}
+
+/**
+ * Deletes a wall's revisions beyond MAX_WALL_REVISIONS, and the media only they referenced
+ * @param {ObjectId} wallId - Wall
+ * @returns {Promise<void>}
+ */
+async function pruneWallRevisions(wallId) {
+  const stale = await WallRevision.find({ wall_id: wallId })
+    .sort({ revision: -1 })
+    .skip(MAX_WALL_REVISIONS)
+    .lean();
+
+  if (stale.length === 0) {
+    return;
+  }
+
+  await WallRevision.deleteMany({ _id: { $in: stale.map(revision => revision._id) } });
+  await deleteUnreferencedWallMedia(wallId, stale.flatMap(revision => wallMediaFiles(revision.content)));
+}
+
+/**
+ * Deletes the given Cloudinary files unless the wall still references them in its live content,
+ * its draft or a revision
+ * @param {ObjectId} wallId - Wall
+ * @param {Object[]} files - Candidates ({ url, resourceType })
+ * @returns {Promise<void>}
+ */
+export async function deleteUnreferencedWallMedia(wallId, files) {
+  if (files.length === 0) {
+    return;
+  }
+
+  const [wall, revisions] = await Promise.all([
+    Wall.findById(wallId).select('+draft').lean(),
+    WallRevision.find({ wall_id: wallId }).select('content').lean()
+  ]);
+  const contents = revisions.map(revision => revision.content);
+  if (wall) contents.push(wallContent(wall), wall.draft || {});
+  const inUse = new Set(contents.flatMap(content => wallMediaFiles(content).map(file => file.url)));
+
+  const orphaned = new Map();
+  for (const file of files) {
+    if (!inUse.has(file.url)) orphaned.set(file.url, file);
+  }
+
+  await deleteWallMedia([...orphaned.values()]);
+}
+
+/**
+ * Deletes the revisions of deleted walls and the Cloudinary files they reference
+ * @param {ObjectId[]} wallIds - Walls
+ * @returns {Promise<void>}
+ */
+export async function deleteWallRevisions(wallIds) {
+  const revisions = await WallRevision.find({ wall_id: { $in: wallIds } }).select('content').lean();
+
+  const files = new Map();
+  for (const revision of revisions) {
+    for (const file of wallMediaFiles(revision.content)) {
+      files.set(file.url, file);
+    }
+  }
+
+  await deleteWallMedia([...files.values()]);
+  await WallRevision.deleteMany({ wall_id: { $in: wallIds } });
+}
+
+/**
+ * Loads a revision of a wall by number
+ * @param {ObjectId} wallId - Wall
+ * @param {string|number} revision - Revision number
+ * @returns {Promise<Object|null>} - null when missing or not a number
+ */
+export async function findWallRevision(wallId, revision) {
+  if (!/^\d+$/.test(String(revision))) {
+    return null;
+  }
+  return WallRevision.findOne({ wall_id: wallId, revision: Number(revision) }).lean();
+}
+
+/**
+ * The revision before a given one
+ * @param {ObjectId} wallId - Wall
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object|null>}
+ */
+export async function findPreviousWallRevision(wallId, revision) {
+  return WallRevision.findOne({ wall_id: wallId, revision: { $lt: revision } }).sort({ revision: -1 }).lean();
+}
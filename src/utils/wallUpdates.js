@@ -0,0 +1,347 @@
+import {
+  isBase64Image,
+  isBase64Video,
+  isCloudinaryUrl,
+  isEmbedUrl,
+  uploadBase64ToCloudinary,
+  deleteFromCloudinary,
+  extractPublicIdFromUrl,
+  validateBase64ImageSize
+} from './imageUtils.js';
+
+// Fields that can't be changed through PATCH /api/walls/:id (the slug has its own endpoint)
+const READ_ONLY_FIELDS = ['_id', 'user_id', 'slug', 'previous_slugs', 'view_count', 'draft', 'draft_updated_at', 'createdAt', 'updatedAt', '__v'];
+
+// Fields with their own endpoints
+const ACTION_FIELDS = {
+  published: 'Use POST /api/walls/:id/publish or /unpublish',
+  publish_at: 'Use PUT /api/walls/:id/schedule',
+  unpublish_at: 'Use PUT /api/walls/:id/schedule'
+};
+
+const TEXT_LIMITS = { title: 120, tagline: 200, description: 5000, journey_content: 50000 };
+const MAX_AWARDS = 50;
+const MAX_ASSOCIATIONS = 20;
+const MAX_IMAGE_MB = 10;
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const HTTP_URL = /^https?:\/\/\S+$/i;
+
+// Media fields: where uploads go, what they accept and the type field derived from the media
+// (`type` receives { kind: 'image'|'video', source: 'upload'|'cloudinary'|'embed' })
+const MEDIA_FIELDS = {
+  logo_url: { label: 'Logo', folder: 'logos', prefix: 'logo', kinds: ['image'] },
+  hero_media_url: {
+    label: 'Hero media',
+    folder: 'hero',
+    prefix: 'hero',
+    kinds: ['image', 'video'],
+    typeField: 'hero_media_type',
+    type: ({ kind }) => kind
+  },
+  showreel_url: {
+    label: 'Showreel',
+    folder: 'showreels',
+    prefix: 'showreel',
+    kinds: ['video'],
+    typeField: 'showreel_type',
+    type: ({ source }) => (source === 'embed' ? 'embed' : 'upload')
+  }
+};
+
+const TYPE_VALUES = { hero_media_type: ['image', 'video'], showreel_type: ['embed', 'upload'] };
+
+// Sub-fields of the object fields; each is patched on its own
+const NESTED_FIELDS = {
+  brand_colors: { keys: ['primary', 'secondary'], valid: value => HEX_COLOR.test(value), message: 'must be a hex color like #ff6600' },
+  social_links: { keys: ['twitter', 'linkedin', 'instagram', 'website'], valid: value => HTTP_URL.test(value), message: 'must be an http(s) URL' }
+};
+
+const isBlank = (value) => value === null || value === '';
+
+/**
+ * Validates a partial wall update
+ * Text, media and link fields are cleared with null (or ''); brand_colors and social_links are
+ * merged key by key. Media values are checked here and uploaded by prepareWallMedia.
+ * @param {Object} body - Request body (`version` is ignored; see requestedVersion)
+ * @returns {{ errors: Object }|{ set: Object, unset: string[] }} - Errors by field, or dotted paths to
+ *   $set and $unset
+ */
+export function parseWallPatch(body) {
+  const errors = {};
+  const set = {};
+  const unset = [];
+
+  for (const [field, value] of Object.entries(body || {})) {
+    if (field === 'version') continue;
+
+    if (READ_ONLY_FIELDS.includes(field)) {
+      errors[field] = 'This field cannot be changed here';
+    } else if (field in ACTION_FIELDS) {
+      errors[field] = ACTION_FIELDS[field];
+    } else if (field in TEXT_LIMITS) {
+      if (isBlank(value) && field !== 'title') {
+        unset.push(field);
+      } else if (typeof value !== 'string' || !value.trim()) {
+        errors[field] = field === 'title' ? 'Title is required' : 'Must be a string';
+      } else if (value.length > TEXT_LIMITS[field]) {
+        errors[field] = `Must be at most ${TEXT_LIMITS[field]} characters`;
+      } else {
+        set[field] = field === 'title' ? value.trim() : value;
+      }
+    } else if (field in MEDIA_FIELDS) {
+      if (isBlank(value)) {
+        unset.push(field);
+      } else if (typeof value !== 'string') {
+        errors[field] = 'Must be a string';
+      } else {
+        set[field] = value;
+      }
+    } else if (field in TYPE_VALUES) {
+      if (!TYPE_VALUES[field].includes(value)) {
+        errors[field] = `Must be one of: ${TYPE_VALUES[field].join(', ')}`;
+      } else {
+        set[field] = value;
+      }
+    } else if (field in NESTED_FIELDS) {
+      const { keys, valid, message } = NESTED_FIELDS[field];
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors[field] = `Must be an object with any of: ${keys.join(', ')}`;
+        continue;
+      }
+      for (const [key, nested] of Object.entries(value)) {
+        const path = `${field}.${key}`;
+        if (!keys.includes(key)) {
+          errors[path] = 'Unknown field';
+        } else if (isBlank(nested)) {
+          unset.push(path);
+        } else if (typeof nested !== 'string' || !valid(nested.trim())) {
+          errors[path] = message;
+        } else {
+          set[path] = nested.trim();
+        }
+      }
+    } else if (field === 'awards') {
+      if (!Array.isArray(value) || value.length > MAX_AWARDS || value.some(award => typeof award !== 'string' || !award.trim() || award.length > 200)) {
+        errors.awards = `Must be a list of up to ${MAX_AWARDS} non-empty strings (200 characters each)`;
+      } else {
+        set.awards = value.map(award => award.trim());
+      }
+    } else if (field === 'associations') {
+      const error = validateAssociations(value);
+      if (error) {
+        errors.associations = error;
+      } else {
+        set.associations = value.map(({ name, description, image, url }) => ({ name: name.trim(), description, image, url }));
+      }
+    } else {
+      errors[field] = 'Unknown field';
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+  return { set, unset };
+}
+
+function validateAssociations(associations) {
+  if (!Array.isArray(associations) || associations.length > MAX_ASSOCIATIONS) {
+    return `Must be a list of up to ${MAX_ASSOCIATIONS} associations`;
+  }
+
+  for (const [i, association] of associations.entries()) {
+    const label = `Association ${i + 1}`;
+    if (!association || typeof association.name !== 'string' || !association.name.trim()) {
+      return `${label}: name is required`;
+    }
+    if (association.url && !HTTP_URL.test(association.url)) {
+      return `${label}: url must be an http(s) URL`;
+    }
+    if (association.image && !isBase64Image(association.image) && !HTTP_URL.test(association.image)) {
+      return `${label}: image must be a base64 image or an http(s) URL`;
+    }
+  }
+
+  return null;
+}
+
+const deleteCloudinaryUrl = async (url, resourceType = 'image') => {
+  if (!url || !isCloudinaryUrl(url)) return;
+
+  try {
+    const publicId = extractPublicIdFromUrl(url);
+    if (publicId) {
+      await deleteFromCloudinary(publicId, resourceType);
+    }
+  } catch (error) {
+    console.error('Error deleting file from Cloudinary:', error);
+  }
+};
+
+// Uploads base64 media, or accepts an existing Cloudinary or embed URL
+async function resolveMedia(value, { label, folder, prefix, kinds }) {
+  if (isBase64Image(value) && kinds.includes('image')) {
+    const validation = validateBase64ImageSize(value, MAX_IMAGE_MB);
+    if (!validation.valid) {
+      return { error: `${label}: ${validation.error}` };
+    }
+    const upload = await uploadBase64ToCloudinary(value, folder, prefix, 'image');
+    return { url: upload.secure_url, kind: 'image', source: 'upload' };
+  }
+  if (isBase64Video(value) && kinds.includes('video')) {
+    const upload = await uploadBase64ToCloudinary(value, folder, prefix, 'video');
+    return { url: upload.secure_url, kind: 'video', source: 'upload' };
+  }
+  if (isCloudinaryUrl(value)) {
+    return { url: value, kind: value.includes('/video/') ? 'video' : 'image', source: 'cloudinary' };
+  }
+  if (isEmbedUrl(value)) {
+    return { url: value, kind: 'video', source: 'embed' };
+  }
+
+  const accepted = kinds.map(kind => `base64 ${kind}`).join(' or ');
+  return { error: `${label} must be a ${accepted}, a Cloudinary URL or an embed URL` };
+}
+
+/**
+ * Uploads the media of a validated wall update and derives the media type fields.
+ * Unchanged media values are left alone; cleared media also clears its type.
+ * Modifies `set` and `unset` in place.
+ * @param {Object} wall - The wall being updated
+ * @param {Object} set - From parseWallPatch
+ * @param {string[]} unset - From parseWallPatch
+ * @returns {Promise<{ errors?: Object, uploaded: Object[] }>} - `uploaded` are the new Cloudinary files
+ *   ({ url, resourceType }), to delete if the update fails. Replaced files are kept for the wall's
+ *   revisions (see utils/wallRevisions.js).
+ */
+export async function prepareWallMedia(wall, set, unset) {
+  const errors = {};
+  const uploaded = [];
+
+  for (const [field, config] of Object.entries(MEDIA_FIELDS)) {
+    const oldType = config.typeField ? wall[config.typeField] : undefined;
+
+    if (unset.includes(field)) {
+      if (config.typeField) {
+        unset.push(config.typeField);
+        delete set[config.typeField];
+      }
+      continue;
+    }
+
+    if (set[field] === undefined || set[field] === wall[field]) {
+      // A type change on its own must still match the media
+      if (config.typeField && set[config.typeField] !== undefined && set[config.typeField] !== oldType) {
+        errors[config.typeField] = `Send ${field} along with a new ${config.typeField}`;
+      }
+      delete set[field];
+      continue;
+    }
+
+    const media = await resolveMedia(set[field], config);
+    if (media.error) {
+      errors[field] = media.error;
+      continue;
+    }
+    set[field] = media.url;
+
+    if (config.typeField) {
+      const type = config.type(media);
+      if (set[config.typeField] !== undefined && set[config.typeField] !== type) {
+        errors[config.typeField] = `Doesn't match ${field} (${type})`;
+      }
+      set[config.typeField] = type;
+    }
+
+    if (media.source === 'upload') {
+      uploaded.push({ url: media.url, resourceType: media.kind });
+    }
+  }
+
+  if (set.associations) {
+    for (const [i, association] of set.associations.entries()) {
+      if (!isBase64Image(association.image)) continue;
+
+      const media = await resolveMedia(association.image, {
+        label: `Association ${i + 1} image`, folder: 'associations', prefix: 'association', kinds: ['image']
+      });
+      if (media.error) {
+        errors.associations = media.error;
+        break;
+      }
+      association.image = media.url;
+      uploaded.push({ url: media.url, resourceType: 'image' });
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors, uploaded };
+  }
+  return { uploaded };
+}
+
+/**
+ * Applies a validated update to a plain content object (a wall draft) instead of the database
+ * @param {Object} content - Current content; not modified
+ * @param {Object} set - Dotted paths to set (after prepareWallMedia)
+ * @param {string[]} unset - Dotted paths to remove
+ * @returns {Object} - Updated copy
+ */
+export function applyWallPatch(content, set, unset) {
+  const result = structuredClone(content);
+
+  for (const path of unset) {
+    const [field, key] = path.split('.');
+    if (key === undefined) {
+      delete result[field];
+    } else if (result[field]) {
+      delete result[field][key];
+    }
+  }
+  for (const [path, value] of Object.entries(set)) {
+    const [field, key] = path.split('.');
+    if (key === undefined) {
+      result[field] = value;
+    } else {
+      result[field] = { ...result[field], [key]: value };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Deletes Cloudinary files, e.g. those collected by prepareWallMedia (non-Cloudinary URLs are skipped)
+ * @param {Object[]} files - [{ url, resourceType }]
+ * @returns {Promise<void>}
+ */
+export async function deleteWallMedia(files) {
+  for (const { url, resourceType } of files) {
+    await deleteCloudinaryUrl(url, resourceType);
+  }
+}
+
+/**
+ * The wall version a client edited: the If-Match header ("3" or W/"3") or the body's `version`
+ * @param {Object} req - Express request
+ * @returns {number|null} - null when neither was sent, NaN when malformed
+ */
+export function requestedVersion(req) {
+  const header = req.get('If-Match');
+  const raw = header !== undefined ? header.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1') : req.body?.version;
+
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  return /^\d+$/.test(String(raw)) ? Number(raw) : NaN;
+}
+
+/**
+ * ETag of a wall version, for the If-Match header of the next update
+ * @param {Object} wall - Wall
+ * @returns {string}
+ */
+export function wallETag(wall) {
+  return `"${wall.__v ?? 0}"`;
+}